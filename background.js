@@ -0,0 +1,123 @@
+/**
+ * Background service worker for the ChatGPT Pin Conversation extension
+ * Routes keyboard shortcuts to the content script of the active ChatGPT tab
+ * turns pin reminders into notifications and expires temporary pins
+ */
+
+import CONFIG from "./scripts/config.js";
+import ConversationURL from "./scripts/services/ConversationURL.js";
+import { ChatHistoryStorage } from "./scripts/services/ChatHistoryStorage.js";
+import { ReminderScheduler } from "./scripts/services/ReminderScheduler.js";
+import { ExpirySweeper } from "./scripts/services/ExpirySweeper.js";
+import { SettingsStorage } from "./scripts/services/SettingsStorage.js";
+import Logger from "./scripts/services/Logger.js";
+
+const storageManager = new ChatHistoryStorage();
+const reminderScheduler = new ReminderScheduler(storageManager);
+const expirySweeper = new ExpirySweeper(storageManager);
+let storageReady = null;
+
+/**
+ * Loads the pins once per worker start, and again after a failed load
+ * The worker is started again for each event, so every listener waits for the pins
+ * @returns {Promise<ChatHistoryStorage>} The loaded storage
+ * @throws {StorageError} If the pins could not be loaded
+ */
+function loadPins() {
+  storageReady ??= storageManager.init().catch((error) => {
+    storageReady = null;
+    throw error;
+  });
+  return storageReady;
+}
+loadPins().catch((error) => console.error("Could not load pins", error));
+
+const settingsStorage = new SettingsStorage();
+settingsStorage
+  .load()
+  .then((settings) => Logger.setEnabled(settings.debugLogging))
+  .catch((error) => console.error("Could not load settings", error));
+
+/**
+ * Turns debug logging on or off when it is changed on the options page
+ */
+settingsStorage.watchForChanges((settings) =>
+  Logger.setEnabled(settings.debugLogging),
+);
+
+/**
+ * Runs reminder or expiry work once the pins are loaded
+ * @param {Function} task - The work to run
+ * @returns {Promise<void>}
+ */
+async function runPinTask(task) {
+  try {
+    await loadPins();
+    await task();
+  } catch (error) {
+    console.error("Could not update pins", error);
+  }
+}
+
+/**
+ * Keeps the alarms in step with reminders set or cleared in any tab
+ */
+storageManager.watchForChanges(() =>
+  runPinTask(() => reminderScheduler.syncAlarms()),
+);
+
+/**
+ * Restores alarms Chrome dropped, notifies reminders missed meanwhile and
+ * expires pins that ran out while the browser was closed
+ */
+function restoreSchedules() {
+  runPinTask(async () => {
+    await expirySweeper.schedule();
+    await expirySweeper.sweep();
+    await reminderScheduler.syncAlarms();
+  });
+}
+chrome.runtime.onStartup.addListener(restoreSchedules);
+chrome.runtime.onInstalled.addListener(restoreSchedules);
+
+/**
+ * Shows the notification of a reminder that came due, or sweeps expired pins
+ * @param {chrome.alarms.Alarm} alarm - The alarm that went off
+ */
+chrome.alarms.onAlarm.addListener((alarm) =>
+  runPinTask(async () => {
+    await expirySweeper.handleAlarm(alarm);
+    await reminderScheduler.handleAlarm(alarm);
+  }),
+);
+
+/**
+ * Opens the conversation of a clicked reminder
+ * @param {string} notificationId - The clicked notification
+ */
+chrome.notifications.onClicked.addListener((notificationId) =>
+  runPinTask(() => reminderScheduler.handleNotificationClick(notificationId)),
+);
+
+/**
+ * Forwards a chrome.commands shortcut to the ChatGPT tab it was used in
+ * @param {string} command - The command name from manifest.json
+ * @param {chrome.tabs.Tab} [tab] - The tab that was active when the shortcut was used
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  try {
+    const [activeTab] = tab
+      ? [tab]
+      : await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab?.id || !ConversationURL.isChatGPTURL(activeTab.url)) {
+      return;
+    }
+
+    await chrome.tabs.sendMessage(activeTab.id, {
+      type: CONFIG.MESSAGES.COMMAND,
+      command,
+    });
+  } catch (error) {
+    console.error("Could not run command", command, error);
+  }
+});
@@ -0,0 +1,23 @@
+/**
+ * History hooks for the ChatGPT Pin Conversation extension
+ * Runs in the page's own JavaScript world, where ChatGPT's router calls
+ * history.pushState and history.replaceState. Content scripts cannot see
+ * those calls, so each one is announced with a window event that URLTracker
+ * listens for. The event name must match CONFIG.URL.NAVIGATION_EVENT
+ */
+
+(() => {
+  const NAVIGATION_EVENT = "pin-chatgpt-conversations:navigate";
+
+  if (window.__pinChatGPTHistoryHooked) return;
+  window.__pinChatGPTHistoryHooked = true;
+
+  ["pushState", "replaceState"].forEach((method) => {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event(NAVIGATION_EVENT));
+      return result;
+    };
+  });
+})();
@@ -1,54 +1,551 @@
+import I18n from "./services/I18n.js";
+
 /**
  * Configuration file for the ChatGPT Pin Conversation extension
  * Centralizes all constants and settings
+ * User-facing strings are read from the _locales message catalogs
  */
 
 const CONFIG = {
+  // ChatGPT elements, each found by the first strategy that matches
+  // Strategies go from the most to the least stable: data-testid, ARIA role,
+  // page structure, then Tailwind class chains
+  SELECTOR_STRATEGIES: Object.freeze({
+    CHAT_CONTAINER: Object.freeze({
+      name: "chat container",
+      strategies: Object.freeze([
+        {
+          strategy: "data-testid",
+          selector: "nav:has(li[data-testid^='history-item'])",
+        },
+        {
+          strategy: "aria-role",
+          selector:
+            "[role='navigation']:has(a[href*='/c/']), nav[aria-label]:has(a[href*='/c/'])",
+        },
+        { strategy: "structure", selector: "nav:has(a[href*='/c/'])" },
+        {
+          strategy: "class-chain",
+          selector:
+            ".flex-col.flex-1.transition-opacity.duration-500.relative.overflow-y-auto",
+        },
+      ]),
+    }),
+    HISTORY_ITEM: Object.freeze({
+      name: "history item",
+      strategies: Object.freeze([
+        { strategy: "data-testid", selector: "li[data-testid^='history']" },
+        {
+          strategy: "aria-role",
+          selector: "[role='listitem']:has(a[href*='/c/'])",
+        },
+        {
+          strategy: "structure",
+          selector: "nav li:has(> div > a[href*='/c/'])",
+        },
+        { strategy: "class-chain", selector: "ol > li.relative" },
+      ]),
+    }),
+    SIDEBAR_PANEL: Object.freeze({
+      name: "sidebar panel",
+      strategies: Object.freeze([
+        {
+          strategy: "data-testid",
+          selector: "div:has(> div > div > ol > li[data-testid^='history'])",
+        },
+        {
+          strategy: "structure",
+          selector: "nav div:has(> div > div > ol > li a[href*='/c/'])",
+        },
+        {
+          strategy: "class-chain",
+          selector:
+            ".flex.flex-col.gap-2.text-token-text-primary.text-sm.false",
+        },
+      ]),
+    }),
+  }),
+
   // DOM Selectors
   SELECTORS: Object.freeze({
-    CHAT_CONTAINER:
-      ".flex-col.flex-1.transition-opacity.duration-500.relative.overflow-y-auto",
-    HISTORY_ITEM: "li[data-testid^='history']",
-    SIDEBAR_PANEL: ".flex.flex-col.gap-2.text-token-text-primary.text-sm.false",
     PINNED_LIST: "#pinned-conversations-list",
+    PINNED_ITEM: "li[data-conversation-id]",
+    PINNED_FOLDER: "li[data-folder-id]",
+    FOLDER_LIST: ".pinned-folder-list",
     CONVERSATION_LINK: "a[href]",
+    // Where ChatGPT shows that a conversation could not be loaded
+    NOT_FOUND_REGION: "main, [role='alert'], [role='status']",
+    CONVERSATION_TURN: "main [data-message-author-role]",
+    HISTORY_LOADING: "[aria-busy='true'], [role='progressbar'], .animate-spin",
+    MESSAGE: "main [data-message-id][data-message-author-role]",
   }),
 
   // CSS Classes
   CLASSES: Object.freeze({
     PIN_BUTTON: "pin-button-tooltip",
     UNPIN_BUTTON: "unpin-button-tooltip",
+    // Set on the sidebar while pin buttons are always shown
+    PIN_BUTTONS_ALWAYS: "pinned-pin-buttons-always",
     ACTIVE: "active",
+    DRAGGING: "pinned-dragging",
+    SECTION_ACTIONS: "pinned-section-actions",
+    SECTION_TITLE: "pinned-section-title",
+    SECTION_TOGGLE: "pinned-section-toggle",
+    SECTION_COLLAPSED: "pinned-section-collapsed",
+    SECTION_COUNT: "pinned-section-count",
+    PIN_OVERFLOW: "pinned-overflow",
+    SHOW_MORE: "pinned-show-more",
+    ICON_BUTTON: "pinned-icon-button",
+    FOLDER: "pinned-folder",
+    FOLDER_COLLAPSED: "pinned-folder-collapsed",
+    FOLDER_HEADER: "pinned-folder-header",
+    FOLDER_TOGGLE: "pinned-folder-toggle",
+    FOLDER_NAME: "pinned-folder-name",
+    FOLDER_ACTIONS: "pinned-folder-actions",
+    FOLDER_LIST: "pinned-folder-list",
+    INLINE_INPUT: "pinned-inline-input",
+    HAS_NOTE: "pinned-has-note",
+    COLOR_SWATCH: "pinned-color-swatch",
+    TAG_BAR: "pinned-tag-bar",
+    TAG_CHIP: "pinned-tag-chip",
+    TAG_DOTS: "pinned-tag-dots",
+    SEARCH_INPUT: "pinned-search-input",
+    SEARCH_MATCH: "pinned-search-match",
+    SEARCHING: "pinned-searching",
+    CONTEXT_MENU: "pinned-context-menu",
+    DEGRADED_INDICATOR: "pinned-degraded-indicator",
+    // Visually hidden, read out by screen readers
+    LIVE_REGION: "pinned-live-region",
+    STALE_PIN: "pinned-stale",
+    STALE_NOTICE: "pinned-stale-notice",
+    BOOKMARK_BUTTON: "pinned-bookmark-button",
+    BOOKMARKED: "pinned-bookmarked",
+    BOOKMARK_LIST: "pinned-bookmark-list",
+    BOOKMARK_ITEM: "pinned-bookmark-item",
+    MESSAGE_HIGHLIGHT: "pinned-message-highlight",
+    REMINDER_BADGE: "pinned-reminder-badge",
+    EXPIRED_AREA: "pinned-expired",
+    EXPIRED_ITEM: "pinned-expired-item",
+    POPUP_ITEM: "pinned-popup-item",
+    POPUP_ITEM_DETAILS: "pinned-popup-item-details",
+    POPUP_MESSAGE: "pinned-popup-message",
+    TRANSFER_CONFLICT: "pinned-transfer-conflict",
+    TRANSFER_STATUS: "pinned-transfer-status",
+    OPTIONS_FIELD: "pinned-options-field",
+    OPTIONS_STATUS: "pinned-options-status",
   }),
 
   // Storage Keys
   STORAGE: Object.freeze({
+    // The pin document is stored as JSON split into numbered chunks, listed
+    // by an index that names the save they belong to
+    PIN_INDEX: "pinnedConversationsIndex",
+    PIN_CHUNK_PREFIX: "pinnedConversationsChunk",
+    // Single key older versions kept the whole document under
     PINNED_CONVERSATIONS: "pinnedConversations",
+    // chrome.storage.sync QUOTA_BYTES_PER_ITEM and QUOTA_BYTES; an item's
+    // size is its key plus its value as JSON, in UTF-8 bytes
+    SYNC_ITEM_BYTES: 8192,
+    SYNC_TOTAL_BYTES: 102400,
+    STORAGE_AREA: "pinnedConversationsArea",
+    QUARANTINE: "pinnedConversationsQuarantine",
+    QUARANTINE_LIMIT: 10,
+    // Kept in chrome.storage.local, since it is a per-browser view state
+    SECTION_COLLAPSED: "pinnedSectionCollapsed",
+    AREAS: Object.freeze({
+      SYNC: "sync",
+      LOCAL: "local",
+    }),
   }),
 
   // Timeouts
   TIMEOUTS: Object.freeze({
     ELEMENT_WAIT: 30000, // 10 seconds
     CHECK_INTERVAL: 50, // 50ms
+    MOUNT_CHECK: 250, // 250ms
+    TITLE_SYNC: 500, // 500ms
+    STALE_CHECK: 10000, // 10 seconds
+    STALE_CHECK_INTERVAL: 250, // 250ms
+    MESSAGE_WAIT: 10000, // 10 seconds
+    MESSAGE_HIGHLIGHT: 2000, // 2 seconds
+    ANNOUNCEMENT: 100, // 100ms
+    // Frequent, low-value pin updates are written together after this delay
+    SAVE_DELAY: 1000, // 1 second
+    // chrome.storage.sync limits writes per minute and per hour
+    SYNC_RATE_LIMIT_RETRY: 60000, // 1 minute
   }),
 
   // URL Patterns
   URL: Object.freeze({
-    PATTERN: /^\/c\/[a-f0-9-]+$/,
+    // "/c/<id>", or "/g/<gizmo id>[-<slug>]/c/<id>" inside a custom GPT or a
+    // project; project gizmo IDs start with PROJECT_PREFIX
+    PATTERN:
+      /^(?:\/g\/(?<gizmoId>g-p-[a-f0-9]+|g-[A-Za-z0-9]+)(?:-(?<slug>[^/]+))?)?\/c\/(?<conversationId>[a-f0-9-]+)\/?$/,
+    CONVERSATION_ID_PATTERN: /^[a-f0-9-]+$/,
+    PROJECT_PREFIX: "g-p-",
     BASE: "https://chat.openai.com",
+    ORIGIN: "https://chatgpt.com",
+    // Every domain ChatGPT is served from, including the legacy one
+    ORIGINS: Object.freeze(["https://chatgpt.com", "https://chat.openai.com"]),
+    // Dispatched on window by history-hooks.js after pushState and replaceState
+    NAVIGATION_EVENT: "pin-chatgpt-conversations:navigate",
+  }),
+
+  // Keyboard shortcut names, as declared under "commands" in manifest.json
+  COMMANDS: Object.freeze({
+    TOGGLE_PIN: "toggle-pin",
+    FOCUS_PINNED_LIST: "focus-pinned-list",
+    OPEN_PIN_PREFIX: "open-pin-",
+  }),
+
+  // Extension pages, relative to the extension root
+  PAGES: Object.freeze({
+    TRANSFER: "pages/transfer.html",
+    OPTIONS: "pages/options.html",
+  }),
+
+  // Message types exchanged between the background worker and content script
+  MESSAGES: Object.freeze({
+    COMMAND: "command",
   }),
 
   // Error Messages
   ERRORS: Object.freeze({
-    ELEMENT_NOT_FOUND: "Required element not found in the DOM",
-    INVALID_CONVERSATION: "Invalid conversation data provided",
-    STORAGE_ERROR: "Error accessing local storage",
-    URL_ERROR: "Invalid URL format",
+    ELEMENT_NOT_FOUND: I18n.getMessage("error_element_not_found"),
+    SELECTOR_FALLBACK: I18n.getMessage("error_selector_fallback"),
+    INVALID_CONVERSATION: I18n.getMessage("error_invalid_conversation"),
+    STORAGE_ERROR: I18n.getMessage("error_storage_error"),
+    SYNC_QUOTA_EXCEEDED: I18n.getMessage("error_sync_quota_exceeded"),
+    SYNC_RATE_LIMITED: I18n.getMessage("error_sync_rate_limited"),
+    MIGRATION_ERROR: I18n.getMessage("error_migration_error"),
+    CORRUPT_DATA: I18n.getMessage("error_corrupt_data"),
+    UNSUPPORTED_SCHEMA: I18n.getMessage("error_unsupported_schema"),
+    INVALID_IMPORT_FILE: I18n.getMessage("error_invalid_import_file"),
+    UNSUPPORTED_IMPORT_VERSION: I18n.getMessage(
+      "error_unsupported_import_version",
+    ),
+    INVALID_PIN_RECORDS: I18n.getMessage("error_invalid_pin_records"),
+    DATA_QUARANTINED: I18n.getMessage("error_data_quarantined"),
+    STORAGE_READ_ONLY: I18n.getMessage("error_storage_read_only"),
+    URL_ERROR: I18n.getMessage("error_url_error"),
+    INVALID_SETTING: I18n.getMessage("error_invalid_setting"),
+    INVALID_CONVERSATION_ID: I18n.getMessage("error_invalid_conversation_id"),
+    INVALID_CONVERSATION_TITLE: I18n.getMessage(
+      "error_invalid_conversation_title",
+    ),
+    INVALID_ROUTE: I18n.getMessage("error_invalid_route"),
+    ALREADY_PINNED: I18n.getMessage("error_already_pinned"),
+    NOT_PINNED: I18n.getMessage("error_not_pinned"),
+    NOT_EXPIRED: I18n.getMessage("error_not_expired"),
+    REMINDER_IN_PAST: I18n.getMessage("error_reminder_in_past"),
+    EXPIRY_IN_PAST: I18n.getMessage("error_expiry_in_past"),
+    INVALID_BOOKMARK: I18n.getMessage("error_invalid_bookmark"),
+    ALREADY_BOOKMARKED: I18n.getMessage("error_already_bookmarked"),
+    NOT_BOOKMARKED: I18n.getMessage("error_not_bookmarked"),
+    TAG_NOT_FOUND: I18n.getMessage("error_tag_not_found"),
+    INVALID_TAG_NAME: I18n.getMessage("error_invalid_tag_name"),
+    TAG_EXISTS: I18n.getMessage("error_tag_exists"),
+    INVALID_TAG_COLOR: I18n.getMessage("error_invalid_tag_color"),
+    FOLDER_NOT_FOUND: I18n.getMessage("error_folder_not_found"),
+    INVALID_FOLDER_NAME: I18n.getMessage("error_invalid_folder_name"),
+    INVALID_ALIAS: I18n.getMessage("error_invalid_alias"),
+    INVALID_NOTE: I18n.getMessage("error_invalid_note"),
+    INVALID_EVENT_MANAGER: I18n.getMessage("error_invalid_event_manager"),
+    EVENT_TIMEOUT: I18n.getMessage("error_event_timeout"),
+    CHAT_ELEMENTS_NOT_FOUND: I18n.getMessage("error_chat_elements_not_found"),
+    SIDEBAR_NOT_FOUND: I18n.getMessage("error_sidebar_not_found"),
   }),
 
   // UI Text
   UI: Object.freeze({
-    PINNED_SECTION_TITLE: "Pinned Conversations",
+    DEGRADED: I18n.getMessage("degraded"),
+    DEGRADED_DETAILS: I18n.getMessage("degraded_details"),
+    DISMISS: I18n.getMessage("dismiss"),
+    STALE_PIN: I18n.getMessage("stale_pin"),
+    STALE_PINS_FOUND: I18n.getMessage("stale_pins_found"),
+    REMOVE_STALE_PINS: I18n.getMessage("remove_stale_pins"),
+    BOOKMARK_MESSAGE: I18n.getMessage("bookmark_message"),
+    REMOVE_BOOKMARK: I18n.getMessage("remove_bookmark"),
+    BOOKMARK_SNIPPET_LENGTH: 80,
+    REMIND_IN_DAY: I18n.getMessage("remind_in_day"),
+    REMIND_IN_WEEK: I18n.getMessage("remind_in_week"),
+    REMIND_ON_DATE: I18n.getMessage("remind_on_date"),
+    CLEAR_REMINDER: I18n.getMessage("clear_reminder"),
+    REMINDER_SCHEDULED: I18n.getMessage("reminder_scheduled"),
+    REMINDER_DUE: I18n.getMessage("reminder_due"),
+    REMINDER_NOTIFICATION_TITLE: I18n.getMessage("reminder_notification_title"),
+    REMINDER_NOTIFICATION_OPEN: I18n.getMessage("reminder_notification_open"),
+    PIN_CONVERSATION: I18n.getMessage("pin_conversation"),
+    UNPIN_CONVERSATION: I18n.getMessage("unpin_conversation"),
+    ANNOUNCE_PINNED: I18n.getMessage("announce_pinned"),
+    ANNOUNCE_UNPINNED: I18n.getMessage("announce_unpinned"),
+    ANNOUNCE_PIN_FAILED: I18n.getMessage("announce_pin_failed"),
+    ANNOUNCE_UNPIN_FAILED: I18n.getMessage("announce_unpin_failed"),
+    PIN: I18n.getMessage("pin"),
+    PIN_UNTIL_END_OF_DAY: I18n.getMessage("pin_until_end_of_day"),
+    PIN_FOR_DAYS: I18n.getMessage("pin_for_days"),
+    PIN_FOR_CUSTOM_DAYS: I18n.getMessage("pin_for_custom_days"),
+    EXPIRE_END_OF_DAY: I18n.getMessage("expire_end_of_day"),
+    EXPIRE_IN_DAYS: I18n.getMessage("expire_in_days"),
+    EXPIRE_IN_CUSTOM_DAYS: I18n.getMessage("expire_in_custom_days"),
+    EXPIRE_DAYS_PLACEHOLDER: I18n.getMessage("expire_days_placeholder"),
+    NEVER_EXPIRE: I18n.getMessage("never_expire"),
+    EXPIRES_AT: I18n.getMessage("expires_at"),
+    RECENTLY_EXPIRED: I18n.getMessage("recently_expired"),
+    RESTORE_PIN: I18n.getMessage("restore_pin"),
+    EXPIRED_PIN_PURGED_AT: I18n.getMessage("expired_pin_purged_at"),
+    PIN_COUNT: I18n.getMessage("pin_count"),
+    SHOW_MORE: I18n.getMessage("show_more"),
+    SHOW_LESS: I18n.getMessage("show_less"),
+    // ChatGPT's page title while no conversation title is known
+    CHATGPT_PAGE_TITLE: "ChatGPT",
+    NEW_FOLDER: I18n.getMessage("new_folder"),
+    NEW_FOLDER_NAME: I18n.getMessage("new_folder_name"),
+    RENAME_FOLDER: I18n.getMessage("rename_folder"),
+    DELETE_FOLDER: I18n.getMessage("delete_folder"),
+    DELETE_FOLDER_CONFIRM: I18n.getMessage("delete_folder_confirm"),
+    MOVE_TO_FOLDER: I18n.getMessage("move_to_folder"),
+    REMOVE_FROM_FOLDER: I18n.getMessage("remove_from_folder"),
+    FOLDER_NAME_MAX_LENGTH: 60,
+    RENAME_PIN: I18n.getMessage("rename_pin"),
+    RESET_PIN_NAME: I18n.getMessage("reset_pin_name"),
+    EDIT_NOTE: I18n.getMessage("edit_note"),
+    NOTE_PLACEHOLDER: I18n.getMessage("note_placeholder"),
+    ALIAS_MAX_LENGTH: 100,
+    NOTE_MAX_LENGTH: 500,
+    TAGS: I18n.getMessage("tags"),
+    NEW_TAG: I18n.getMessage("new_tag"),
+    NEW_TAG_PLACEHOLDER: I18n.getMessage("new_tag_placeholder"),
+    RENAME_TAG: I18n.getMessage("rename_tag"),
+    DELETE_TAG: I18n.getMessage("delete_tag"),
+    DELETE_TAG_CONFIRM: I18n.getMessage("delete_tag_confirm"),
+    TAG_COLOR: I18n.getMessage("tag_color"),
+    TAG_MATCH_ANY: I18n.getMessage("tag_match_any"),
+    TAG_MATCH_ALL: I18n.getMessage("tag_match_all"),
+    TAG_NAME_MAX_LENGTH: 30,
+    SEARCH_PLACEHOLDER: I18n.getMessage("search_placeholder"),
+    UNPIN: I18n.getMessage("unpin"),
+    OPEN_CONVERSATION: I18n.getMessage("open_conversation"),
+    POPUP_EMPTY: I18n.getMessage("popup_empty"),
+    POPUP_NO_MATCHES: I18n.getMessage("popup_no_matches"),
+    POPUP_LOAD_ERROR: I18n.getMessage("popup_load_error"),
+    EXPORT_IMPORT: I18n.getMessage("export_import"),
+    TRANSFER_TITLE: I18n.getMessage("transfer_title"),
+    EXPORT: I18n.getMessage("export"),
+    EXPORT_DESCRIPTION: I18n.getMessage("export_description"),
+    EXPORT_JSON: I18n.getMessage("export_json"),
+    EXPORT_MARKDOWN: I18n.getMessage("export_markdown"),
+    EXPORT_CSV: I18n.getMessage("export_csv"),
+    IMPORT: I18n.getMessage("import"),
+    IMPORT_DESCRIPTION: I18n.getMessage("import_description"),
+    IMPORT_MERGE: I18n.getMessage("import_merge"),
+    IMPORT_REPLACE: I18n.getMessage("import_replace"),
+    IMPORT_ADDED: I18n.getMessage("import_added"),
+    IMPORT_UPDATED: I18n.getMessage("import_updated"),
+    IMPORT_UNCHANGED: I18n.getMessage("import_unchanged"),
+    IMPORT_REMOVED: I18n.getMessage("import_removed"),
+    IMPORT_SKIPPED: I18n.getMessage("import_skipped"),
+    IMPORT_CONFLICTS: I18n.getMessage("import_conflicts"),
+    IMPORT_KEEP_CURRENT: I18n.getMessage("import_keep_current"),
+    IMPORT_USE_INCOMING: I18n.getMessage("import_use_incoming"),
+    IMPORT_EMPTY_VALUE: I18n.getMessage("import_empty_value"),
+    IMPORT_APPLY: I18n.getMessage("import_apply"),
+    IMPORT_CANCEL: I18n.getMessage("import_cancel"),
+    IMPORT_DONE: I18n.getMessage("import_done"),
+    IMPORT_FAILED: I18n.getMessage("import_failed"),
+    SETTINGS: I18n.getMessage("settings"),
+    OPTIONS_TITLE: I18n.getMessage("options_title"),
+    OPTIONS_SECTION: I18n.getMessage("options_section"),
+    OPTIONS_SECTION_DESCRIPTION: I18n.getMessage("options_section_description"),
+    OPTIONS_BEHAVIOUR: I18n.getMessage("options_behaviour"),
+    OPTIONS_BEHAVIOUR_DESCRIPTION: I18n.getMessage(
+      "options_behaviour_description",
+    ),
+    SETTING_LABELS: Object.freeze({
+      sectionTitle: I18n.getMessage("setting_section_title"),
+      placement: I18n.getMessage("setting_placement"),
+      maxVisiblePins: I18n.getMessage("setting_max_visible_pins"),
+      newPinPosition: I18n.getMessage("setting_new_pin_position"),
+      pinButtons: I18n.getMessage("setting_pin_buttons"),
+      debugLogging: I18n.getMessage("setting_debug_logging"),
+      accentColor: I18n.getMessage("setting_accent_color"),
+    }),
+    SETTING_OPTIONS: Object.freeze({
+      top: I18n.getMessage("setting_option_top"),
+      bottom: I18n.getMessage("setting_option_bottom"),
+      hover: I18n.getMessage("setting_option_hover"),
+      always: I18n.getMessage("setting_option_always"),
+    }),
+    USE_THEME_ACCENT: I18n.getMessage("use_theme_accent"),
+    SETTINGS_RESET: I18n.getMessage("settings_reset"),
+    SETTINGS_SAVED: I18n.getMessage("settings_saved"),
+    SETTINGS_RESTORED: I18n.getMessage("settings_restored"),
+    SETTINGS_INVALID: I18n.getMessage("settings_invalid"),
+    SETTINGS_LOAD_ERROR: I18n.getMessage("settings_load_error"),
+    FIELD_NAMES: Object.freeze({
+      title: I18n.getMessage("field_title"),
+      alias: I18n.getMessage("field_alias"),
+      note: I18n.getMessage("field_note"),
+      folderId: I18n.getMessage("field_folder_id"),
+      tagIds: I18n.getMessage("field_tag_ids"),
+    }),
+    TAG_COLOR_PATTERN: /^#[0-9a-f]{6}$/i,
+    TAG_COLORS: Object.freeze([
+      "#ef4444",
+      "#f59e0b",
+      "#10b981",
+      "#3b82f6",
+      "#8b5cf6",
+      "#ec4899",
+      "#6b7280",
+    ]),
+    TAG_COLOR_NAMES: Object.freeze({
+      "#ef4444": I18n.getMessage("color_red"),
+      "#f59e0b": I18n.getMessage("color_amber"),
+      "#10b981": I18n.getMessage("color_green"),
+      "#3b82f6": I18n.getMessage("color_blue"),
+      "#8b5cf6": I18n.getMessage("color_violet"),
+      "#ec4899": I18n.getMessage("color_pink"),
+      "#6b7280": I18n.getMessage("color_grey"),
+    }),
+  }),
+
+  // How the selected tags in the tag bar are combined
+  TAG_MATCH_MODES: Object.freeze({
+    ANY: "any",
+    ALL: "all",
+  }),
+
+  // Export file format
+  EXPORT: Object.freeze({
+    FORMAT: "pin-chatgpt-conversations",
+    FILE_NAME: "pinned-conversations",
+    CSV_COLUMNS: Object.freeze([
+      "url",
+      "title",
+      "alias",
+      "note",
+      "folder",
+      "tags",
+      "pinnedAt",
+    ]),
+  }),
+
+  // How an imported file is combined with the existing pins
+  IMPORT_MODES: Object.freeze({
+    MERGE: "merge",
+    REPLACE: "replace",
+  }),
+
+  // Which side wins a conflicting field when merging an import
+  CONFLICT_RESOLUTIONS: Object.freeze({
+    CURRENT: "current",
+    INCOMING: "incoming",
+  }),
+
+  // Where newly pinned conversations are placed in the list
+  PIN_POSITIONS: Object.freeze({
+    TOP: "top",
+    BOTTOM: "bottom",
+  }),
+
+  // Where the pinned section is placed in the sidebar
+  SECTION_PLACEMENTS: Object.freeze({
+    TOP: "top",
+    BOTTOM: "bottom",
+  }),
+
+  // When pin buttons show in ChatGPT's history list
+  PIN_BUTTON_MODES: Object.freeze({
+    HOVER: "hover",
+    ALWAYS: "always",
+  }),
+
+  // User settings, edited on the options page and kept in chrome.storage.sync
+  SETTINGS: Object.freeze({
+    STORAGE_KEY: "pinnedConversationsSettings",
+    DEFAULTS: Object.freeze({
+      sectionTitle: I18n.getMessage("pinned_section_title"),
+      placement: "top",
+      maxVisiblePins: 10,
+      newPinPosition: "bottom",
+      pinButtons: "hover",
+      debugLogging: false,
+      // null follows ChatGPT's theme
+      accentColor: null,
+    }),
+    SECTION_TITLE_MAX_LENGTH: 60,
+    MIN_VISIBLE_PINS: 1,
+    MAX_VISIBLE_PINS: 100,
+    ACCENT_COLOR_PATTERN: /^#[0-9a-f]{6}$/i,
+    LOG_PREFIX: "[Pin Conversations]",
+  }),
+
+  // Theming of the injected UI, whose colours are custom properties in style.css
+  THEME: Object.freeze({
+    ACCENT_PROPERTY: "--pinned-accent",
+    // Shown in the colour picker while the accent follows the theme
+    DEFAULT_ACCENT: "#34d399",
+  }),
+
+  // Revisit reminders, scheduled with chrome.alarms by the background worker
+  REMINDERS: Object.freeze({
+    ALARM_PREFIX: "reminder:",
+    DAY: 24 * 60 * 60 * 1000,
+    WEEK: 7 * 24 * 60 * 60 * 1000,
+    ICON: "images/icon-128.png",
+  }),
+
+  // Temporary pins, swept by the background worker on a chrome.alarms schedule
+  EXPIRY: Object.freeze({
+    SWEEP_ALARM: "expiry-sweep",
+    SWEEP_PERIOD_MINUTES: 15,
+    DAY: 24 * 60 * 60 * 1000,
+    DAY_OPTIONS: Object.freeze([3, 7, 30]),
+    MAX_DAYS: 365,
+    // How long expired pins can be restored before they are purged
+    GRACE_PERIOD: 7 * 24 * 60 * 60 * 1000,
+  }),
+
+  // Message bookmarks saved under a pinned conversation
+  BOOKMARKS: Object.freeze({
+    MESSAGE_ID_PATTERN: /^[A-Za-z0-9_-]+$/,
+  }),
+
+  // How stale pins are recognised
+  STALE_PINS: Object.freeze({
+    // Shown by ChatGPT instead of a deleted or archived conversation, per
+    // language of ChatGPT's UI. All of them are checked, since ChatGPT can be
+    // set to another language than the browser
+    NOT_FOUND_TEXTS: Object.freeze({
+      en: Object.freeze([
+        "Conversation not found",
+        "Unable to load conversation",
+      ]),
+      de: Object.freeze([
+        "Unterhaltung nicht gefunden",
+        "Unterhaltung konnte nicht geladen werden",
+      ]),
+      ar: Object.freeze([
+        "لم يتم العثور على المحادثة",
+        "تعذّر تحميل المحادثة",
+        "تعذر تحميل المحادثة",
+      ]),
+    }),
+    // Distance in pixels from the end of the sidebar that counts as scrolled to the end
+    HISTORY_END_MARGIN: 8,
+  }),
+
+  // What the page shows after opening a conversation
+  CONVERSATION_STATES: Object.freeze({
+    LOADED: "loaded",
+    NOT_FOUND: "not-found",
+  }),
+
+  // What a conversation's gizmo ID in its URL belongs to
+  ROUTE_TYPES: Object.freeze({
+    GPT: "gpt",
+    PROJECT: "project",
   }),
 };
 export default Object.freeze(CONFIG);
@@ -0,0 +1,26 @@
+/**
+ * Options page script for the ChatGPT Pin Conversation extension
+ * Initializes the page for changing the extension's settings
+ */
+
+import OptionsUI from "./services/OptionsUI.js";
+import I18n from "./services/I18n.js";
+import CONFIG from "./config.js";
+
+/**
+ * Entry point for the options page
+ * Renders the OptionsUI into the page
+ * after switching the page to the extension's language
+ * @function
+ */
+function main() {
+  try {
+    I18n.applyLanguage(document.documentElement);
+    document.title = CONFIG.UI.OPTIONS_TITLE;
+    new OptionsUI(document.body);
+  } catch (error) {
+    console.error("Failed to initialize options page:", error);
+  }
+}
+
+main();
@@ -0,0 +1,26 @@
+/**
+ * Popup script for the ChatGPT Pin Conversation extension
+ * Initializes the toolbar popup listing the pinned conversations
+ */
+
+import PopupUI from "./services/PopupUI.js";
+import I18n from "./services/I18n.js";
+import CONFIG from "./config.js";
+
+/**
+ * Entry point for the popup
+ * Renders the PopupUI into the popup page
+ * after switching the page to the extension's language
+ * @function
+ */
+function main() {
+  try {
+    I18n.applyLanguage(document.documentElement);
+    document.title = CONFIG.SETTINGS.DEFAULTS.sectionTitle;
+    new PopupUI(document.body);
+  } catch (error) {
+    console.error("Failed to initialize popup:", error);
+  }
+}
+
+main();
@@ -1,27 +1,148 @@
 import CONFIG from "../config.js";
 import { StorageError, ValidationError } from "./errors.js";
+import { RECORD_COLLECTIONS, StorageSchema } from "./StorageSchema.js";
 
 /**
- * Class responsible for managing pinned conversations in local storage
+ * Class responsible for managing pinned conversations in chrome.storage
+ * Pins live in chrome.storage.sync so they follow the user across machines,
+ * and fall back to chrome.storage.local once the sync quota is exhausted.
+ * The document is split into chunks that each fit the sync quota per item.
+ * Each tab keeps its own copy of the pins; saves only apply the records that
+ * copy changed, so tabs do not undo each other's changes
  */
 export class ChatHistoryStorage {
   /**
    * Initializes a new ChatHistoryStorage instance
-   * Loads pinned conversations from localStorage on construction
+   * Call init() before reading or writing pins
    */
   constructor() {
-    this.pinnedConversations = this.loadPinnedConversations();
+    this.document = StorageSchema.createEmptyDocument();
+    // The document as last read from or written to storage
+    this.baseDocument = StorageSchema.createEmptyDocument();
+    this.areaName = CONFIG.STORAGE.AREAS.SYNC;
+    this.onChange = null;
+    this.pendingWrites = [];
+    this.saveTimer = null;
+    this.rateLimitedUntil = 0;
+    // Set when the stored pins cannot be read, so they are never overwritten
+    this.readOnly = false;
   }
 
   /**
-   * Loads pinned conversations from localStorage
-   * @returns {Object} An object containing pinned conversations
-   * @throws {StorageError} If there's an error accessing localStorage
+   * Resolves the active storage area, imports pins left in localStorage by
+   * older versions and loads the pinned conversations into memory
+   * @returns {Promise<ChatHistoryStorage>} The initialized instance
+   * @throws {StorageError} If there's an error accessing chrome.storage
    */
-  loadPinnedConversations() {
+  async init() {
+    this.areaName = await this.resolveStorageArea();
+    this.document = await this.loadPinnedConversations();
+    this.baseDocument = structuredClone(this.document);
+    await this.migrateFromLocalStorage();
+    return this;
+  }
+
+  /**
+   * Gets the chrome.storage area pins are currently kept in
+   * @returns {chrome.storage.StorageArea} The active storage area
+   * @private
+   */
+  get storageArea() {
+    return chrome.storage[this.areaName];
+  }
+
+  /**
+   * Determines which storage area holds the pins
+   * The choice is remembered in chrome.storage.local once sync overflows
+   * @returns {Promise<string>} The storage area name
+   * @throws {StorageError} If there's an error accessing chrome.storage
+   * @private
+   */
+  async resolveStorageArea() {
+    try {
+      const key = CONFIG.STORAGE.STORAGE_AREA;
+      const { [key]: areaName } = await chrome.storage.local.get(key);
+      return areaName === CONFIG.STORAGE.AREAS.LOCAL
+        ? CONFIG.STORAGE.AREAS.LOCAL
+        : CONFIG.STORAGE.AREAS.SYNC;
+    } catch (error) {
+      throw new StorageError(CONFIG.ERRORS.STORAGE_ERROR, {
+        originalError: error,
+      });
+    }
+  }
+
+  /**
+   * Loads pinned conversations from chrome.storage
+   * Older documents are upgraded to the current schema and saved back, as
+   * are documents still kept under the single key of older versions
+   * @returns {Promise<Object>} The pin document
+   * @throws {StorageError} If there's an error accessing chrome.storage
+   */
+  async loadPinnedConversations() {
+    const { data, revision } = await this.readStoredData();
+    if (data === undefined) {
+      return StorageSchema.createEmptyDocument();
+    }
+
+    const { pinDocument, changed } = await this.upgradeDocument(data);
+    if (changed || (revision === null && !this.readOnly)) {
+      this.document = pinDocument;
+      this.baseDocument = structuredClone(pinDocument);
+      await this.savePinnedConversations();
+    }
+    return pinDocument;
+  }
+
+  /**
+   * Runs the schema migrations on stored data
+   * Data that cannot be upgraded, and individual records that are
+   * incomplete, are quarantined instead of failing the whole load. Data that
+   * cannot be upgraded at all, for example because a newer version wrote it,
+   * stays in place and makes the storage read-only until the extension is
+   * updated
+   * @param {*} data - The stored value
+   * @returns {Promise<{pinDocument: Object, changed: boolean}>} The upgraded document and whether it differs from what is stored
+   * @private
+   */
+  async upgradeDocument(data) {
+    let migrated;
+    let sanitized;
+    try {
+      migrated = StorageSchema.migrate(data);
+      sanitized = StorageSchema.sanitize(migrated);
+    } catch (error) {
+      await this.quarantine(data, error.message);
+      this.readOnly = true;
+      return {
+        pinDocument: StorageSchema.createEmptyDocument(),
+        changed: false,
+      };
+    }
+
+    const { pinDocument, rejected } = sanitized;
+    if (StorageSchema.hasRejectedRecords(rejected)) {
+      await this.quarantine(rejected, CONFIG.ERRORS.INVALID_PIN_RECORDS);
+    }
+    // Besides migrations and dropped records, sanitize() also repairs
+    // references to missing folders and tags. It keeps the stored key order,
+    // so the serialised documents only differ when something was changed
+    return {
+      pinDocument,
+      changed: JSON.stringify(pinDocument) !== JSON.stringify(data),
+    };
+  }
+
+  /**
+   * Reads whether the pinned section was left collapsed in this browser
+   * @returns {Promise<boolean>} True if the section is collapsed
+   * @throws {StorageError} If there's an error accessing chrome.storage
+   */
+  async isSectionCollapsed() {
     try {
-      const data = localStorage.getItem(CONFIG.STORAGE.PINNED_CONVERSATIONS);
-      return data ? JSON.parse(data) : {};
+      const key = CONFIG.STORAGE.SECTION_COLLAPSED;
+      const { [key]: collapsed } = await chrome.storage.local.get(key);
+      return collapsed === true;
     } catch (error) {
       throw new StorageError(CONFIG.ERRORS.STORAGE_ERROR, {
         originalError: error,
@@ -30,15 +151,444 @@ export class ChatHistoryStorage {
   }
 
   /**
-   * Saves pinned conversations to localStorage
-   * @throws {StorageError} If there's an error saving to localStorage
+   * Remembers whether the pinned section is collapsed in this browser
+   * @param {boolean} collapsed - Whether the section is collapsed
+   * @returns {Promise<void>}
+   * @throws {StorageError} If there's an error saving to storage
    */
-  savePinnedConversations() {
+  async setSectionCollapsed(collapsed) {
     try {
-      localStorage.setItem(
-        CONFIG.STORAGE.PINNED_CONVERSATIONS,
-        JSON.stringify(this.pinnedConversations),
+      await chrome.storage.local.set({
+        [CONFIG.STORAGE.SECTION_COLLAPSED]: collapsed,
+      });
+    } catch (error) {
+      throw new StorageError(CONFIG.ERRORS.STORAGE_ERROR, {
+        originalError: error,
+      });
+    }
+  }
+
+  /**
+   * Starts following changes other tabs and extension pages make to the pins
+   * @param {Function} onChange - Called after a newer stored document was loaded
+   */
+  watchForChanges(onChange) {
+    this.onChange = onChange;
+    chrome.storage.onChanged.addListener(this.handleStorageChange);
+  }
+
+  /**
+   * Stops following changes made to the pins elsewhere
+   */
+  stopWatchingForChanges() {
+    chrome.storage.onChanged.removeListener(this.handleStorageChange);
+    this.onChange = null;
+    this.pendingWrites = [];
+    this.saveTimer = null;
+    this.rateLimitedUntil = 0;
+  }
+
+  /**
+   * Notices when another context has saved the pins
+   * Every save writes a new index, so only index changes are followed.
+   * Writes made by this instance are recognised by their revision and ignored
+   * @param {Object} changes - The changed keys
+   * @param {string} areaName - The storage area that changed
+   * @private
+   */
+  handleStorageChange = (changes, areaName) => {
+    const areaChange = changes[CONFIG.STORAGE.STORAGE_AREA];
+    if (areaName === CONFIG.STORAGE.AREAS.LOCAL && areaChange) {
+      this.areaName = areaChange.newValue ?? CONFIG.STORAGE.AREAS.SYNC;
+    }
+
+    const change = changes[CONFIG.STORAGE.PIN_INDEX];
+    if (!change || areaName !== this.areaName) return;
+
+    // Change events arrive in write order, so earlier own writes are done too
+    const ownWrite = this.pendingWrites.indexOf(change.newValue?.revision);
+    if (ownWrite !== -1) {
+      this.pendingWrites.splice(0, ownWrite + 1);
+      return;
+    }
+    this.reloadStoredDocument();
+  };
+
+  /**
+   * Loads the stored document after another context has saved the pins
+   * The chunks are read again, since change events only carry the chunks
+   * that changed. Changes still waiting for a delayed save are applied on
+   * top of the stored document
+   * @returns {Promise<void>}
+   * @private
+   */
+  async reloadStoredDocument() {
+    let stored;
+    try {
+      stored = await this.readStoredData();
+    } catch (error) {
+      console.warn("Ignoring unreadable pin data from storage:", error);
+      return;
+    }
+    // A save of this instance stored meanwhile already holds that change
+    if (this.pendingWrites.includes(stored.revision)) return;
+
+    const storedDocument = this.parseStoredData(stored.data);
+    if (!storedDocument) {
+      console.warn("Ignoring unreadable pin data from storage");
+      return;
+    }
+    this.document = this.applyLocalChanges(structuredClone(storedDocument));
+    this.baseDocument = storedDocument;
+    this.onChange?.();
+  }
+
+  /**
+   * Keeps data that could not be loaded in chrome.storage.local
+   * so it can be inspected or recovered by hand
+   * Data that is already the newest entry is not added again, since
+   * unreadable data stays in place and is met on every load
+   * @param {*} data - The rejected data
+   * @param {string} reason - Why the data was rejected
+   * @returns {Promise<void>}
+   * @private
+   */
+  async quarantine(data, reason) {
+    console.warn(CONFIG.ERRORS.DATA_QUARANTINED, reason);
+    try {
+      const key = CONFIG.STORAGE.QUARANTINE;
+      const { [key]: entries = [] } = await chrome.storage.local.get(key);
+      if (JSON.stringify(entries.at(-1)?.data) === JSON.stringify(data)) {
+        return;
+      }
+      entries.push({ quarantinedAt: Date.now(), reason, data });
+      await chrome.storage.local.set({
+        [key]: entries.slice(-CONFIG.STORAGE.QUARANTINE_LIMIT),
+      });
+    } catch (error) {
+      console.error(CONFIG.ERRORS.STORAGE_ERROR, error);
+    }
+  }
+
+  /**
+   * Saves pinned conversations to chrome.storage
+   * The stored document is read again and the records changed here are
+   * applied to it, so changes saved by other tabs in the meantime are kept.
+   * Switches to chrome.storage.local when the pins would not fit the sync
+   * quota. When sync limits the number of writes, the changes stay in memory
+   * and are saved again later. Stored data that cannot be read is never
+   * overwritten
+   * @returns {Promise<void>}
+   * @throws {StorageError} If there's an error saving to chrome.storage, or the storage is read-only
+   */
+  async savePinnedConversations() {
+    // The whole document is written, including changes waiting in scheduleSave()
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const stored = this.readOnly ? null : await this.readStoredData();
+    const storedDocument = stored && this.parseStoredData(stored.data);
+    if (!storedDocument) {
+      this.readOnly = true;
+      throw new StorageError(CONFIG.ERRORS.STORAGE_READ_ONLY);
+    }
+    this.document = this.applyLocalChanges(structuredClone(storedDocument));
+    this.baseDocument = storedDocument;
+
+    const savedDocument = structuredClone(this.document);
+    const revision = crypto.randomUUID();
+    const items = this.createStorageItems(savedDocument, revision);
+    // Remembered so the change event for this write is not taken for a
+    // change made elsewhere
+    const write = this.onChange ? revision : null;
+    if (write) {
+      this.pendingWrites.push(write);
+    }
+    try {
+      if (
+        this.areaName === CONFIG.STORAGE.AREAS.SYNC &&
+        !this.fitsSyncQuota(items, stored.items)
+      ) {
+        await this.fallBackToLocalArea(items);
+        this.baseDocument = savedDocument;
+        return;
+      }
+      await this.storageArea.set(items);
+      this.baseDocument = savedDocument;
+    } catch (error) {
+      // Other sync data can still grow between the check and the write
+      if (
+        this.areaName === CONFIG.STORAGE.AREAS.SYNC &&
+        this.isQuotaError(error)
+      ) {
+        await this.fallBackToLocalArea(items);
+        this.baseDocument = savedDocument;
+        return;
+      }
+      if (write) {
+        this.pendingWrites.splice(this.pendingWrites.indexOf(write), 1);
+      }
+      if (
+        this.areaName === CONFIG.STORAGE.AREAS.SYNC &&
+        this.isRateLimitError(error)
+      ) {
+        console.warn(CONFIG.ERRORS.SYNC_RATE_LIMITED);
+        this.rateLimitedUntil =
+          Date.now() + CONFIG.TIMEOUTS.SYNC_RATE_LIMIT_RETRY;
+        this.scheduleSave();
+        return;
+      }
+      throw new StorageError(CONFIG.ERRORS.STORAGE_ERROR, {
+        originalError: error,
+      });
+    }
+    await this.removeStaleItems(items, stored.items);
+  }
+
+  /**
+   * Reads the pin data from the active storage area
+   * The chunks listed by the index are joined and parsed. Pins that older
+   * versions kept under a single key are read when there is no index
+   * @returns {Promise<{data: *, revision: string|null, items: Object}>} The stored value, or undefined if there is none; the revision of the save that stored it, or null for the single key; and every item in the area
+   * @throws {StorageError} If there's an error accessing chrome.storage, or the chunks belong to different saves
+   * @private
+   */
+  async readStoredData() {
+    let items;
+    try {
+      items = await this.storageArea.get(null);
+    } catch (error) {
+      throw new StorageError(CONFIG.ERRORS.STORAGE_ERROR, {
+        originalError: error,
+      });
+    }
+
+    const index = items[CONFIG.STORAGE.PIN_INDEX];
+    if (index === undefined) {
+      return {
+        data: items[CONFIG.STORAGE.PINNED_CONVERSATIONS],
+        revision: null,
+        items,
+      };
+    }
+
+    const chunks = Array.from(
+      { length: index?.chunks },
+      (_, position) => items[this.getChunkKey(position)],
+    );
+    // Sync can deliver the items of a save from another machine one by one
+    if (chunks.some((chunk) => chunk?.revision !== index?.revision)) {
+      throw new StorageError(CONFIG.ERRORS.STORAGE_ERROR);
+    }
+    const json = chunks.map((chunk) => chunk.data).join("");
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch {
+      data = json;
+    }
+    return { data, revision: index?.revision ?? null, items };
+  }
+
+  /**
+   * Upgrades stored pin data for a save or a reload
+   * @param {*} data - The stored value, or undefined if there is none
+   * @returns {Object|null} The stored document upgraded to the current schema, or null if it cannot be read
+   * @private
+   */
+  parseStoredData(data) {
+    if (data === undefined) {
+      return StorageSchema.createEmptyDocument();
+    }
+    try {
+      return StorageSchema.sanitize(StorageSchema.migrate(data)).pinDocument;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Splits a pin document into the items written to storage
+   * The JSON is cut into chunks that each stay within
+   * CONFIG.STORAGE.SYNC_ITEM_BYTES, and an index lists how many there are.
+   * Every item carries the revision, so chunks of different saves are never
+   * joined
+   * @param {Object} pinDocument - The document to store
+   * @param {string} revision - Unique ID of this save
+   * @returns {Object} The items, keyed by storage key
+   * @private
+   */
+  createStorageItems(pinDocument, revision) {
+    const json = JSON.stringify(pinDocument);
+    const items = {};
+    let chunks = 0;
+    for (let start = 0; start < json.length; chunks++) {
+      const key = this.getChunkKey(chunks);
+      const end = this.findChunkEnd(json, start, key, revision);
+      items[key] = { revision, data: json.slice(start, end) };
+      start = end;
+    }
+    items[CONFIG.STORAGE.PIN_INDEX] = { revision, chunks };
+    return items;
+  }
+
+  /**
+   * Finds where the longest chunk starting at a position that still fits
+   * into one sync item ends
+   * Escaping and UTF-8 make a chunk's size differ from its length, so the
+   * size is measured
+   * @param {string} json - The serialized document
+   * @param {number} start - Where the chunk starts
+   * @param {string} key - The key the chunk is stored under
+   * @param {string} revision - Unique ID of the save
+   * @returns {number} The position after the chunk's last character
+   * @private
+   */
+  findChunkEnd(json, start, key, revision) {
+    const fits = (end) =>
+      this.getItemSize(key, { revision, data: json.slice(start, end) }) <=
+      CONFIG.STORAGE.SYNC_ITEM_BYTES;
+
+    // Every character takes at least a byte, so no chunk is longer than
+    // the limit in characters
+    let low = start + 1;
+    let high = Math.min(json.length, start + CONFIG.STORAGE.SYNC_ITEM_BYTES);
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (fits(middle)) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    // A surrogate pair is kept in one chunk
+    const code = json.charCodeAt(low - 1);
+    const isHighSurrogate = code >= 0xd800 && code <= 0xdbff;
+    return isHighSurrogate && low < json.length && low - 1 > start
+      ? low - 1
+      : low;
+  }
+
+  /**
+   * Gets the key a chunk of the pin document is stored under
+   * @param {number} position - The chunk's position in the document
+   * @returns {string} The storage key
+   * @private
+   */
+  getChunkKey(position) {
+    return `${CONFIG.STORAGE.PIN_CHUNK_PREFIX}${position}`;
+  }
+
+  /**
+   * Checks whether a storage key holds pin data
+   * @param {string} key - The storage key
+   * @returns {boolean} True for the index, the chunks and the old single key
+   * @private
+   */
+  isPinKey(key) {
+    return (
+      key === CONFIG.STORAGE.PIN_INDEX ||
+      key === CONFIG.STORAGE.PINNED_CONVERSATIONS ||
+      key.startsWith(CONFIG.STORAGE.PIN_CHUNK_PREFIX)
+    );
+  }
+
+  /**
+   * Measures an item the way chrome.storage.sync counts it against its quota
+   * @param {string} key - The storage key
+   * @param {*} value - The stored value
+   * @returns {number} The size in bytes
+   * @private
+   */
+  getItemSize(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+
+  /**
+   * Checks whether the pins fit the sync quota next to the other sync data
+   * @param {Object} items - The items about to be written
+   * @param {Object} storedItems - Every item currently in the area
+   * @returns {boolean} True if the items fit
+   * @private
+   */
+  fitsSyncQuota(items, storedItems) {
+    const getSize = (entries) =>
+      entries.reduce(
+        (size, [key, value]) => size + this.getItemSize(key, value),
+        0,
       );
+    const otherSize = getSize(
+      Object.entries(storedItems).filter(([key]) => !this.isPinKey(key)),
+    );
+    return (
+      otherSize + getSize(Object.entries(items)) <=
+      CONFIG.STORAGE.SYNC_TOTAL_BYTES
+    );
+  }
+
+  /**
+   * Removes chunks a smaller document no longer uses, and the single key
+   * of older versions
+   * Failures are only logged; the next save finds the items again
+   * @param {Object} items - The items just written
+   * @param {Object} storedItems - Every item in the area before the write
+   * @returns {Promise<void>}
+   * @private
+   */
+  async removeStaleItems(items, storedItems) {
+    const staleKeys = Object.keys(storedItems).filter(
+      (key) => this.isPinKey(key) && !(key in items),
+    );
+    if (staleKeys.length === 0) return;
+    try {
+      await this.storageArea.remove(staleKeys);
+    } catch (error) {
+      console.warn(CONFIG.ERRORS.STORAGE_ERROR, error);
+    }
+  }
+
+  /**
+   * Applies the records changed since the pins were last read or saved to
+   * another copy of the document
+   * Records are compared by ID, so records changed elsewhere are kept
+   * unless the same record was changed here too
+   * @param {Object} target - A current-version document, changed in place
+   * @returns {Object} The document with the changes applied
+   * @private
+   */
+  applyLocalChanges(target) {
+    RECORD_COLLECTIONS.forEach((collection) => {
+      const base = this.baseDocument[collection];
+      const current = this.document[collection];
+      new Set([...Object.keys(base), ...Object.keys(current)]).forEach((id) => {
+        if (JSON.stringify(base[id]) === JSON.stringify(current[id])) return;
+        if (id in current) {
+          target[collection][id] = current[id];
+        } else {
+          delete target[collection][id];
+        }
+      });
+    });
+    // A record changed here may point to a folder or tag deleted elsewhere
+    return StorageSchema.sanitize(target).pinDocument;
+  }
+
+  /**
+   * Moves the pins to chrome.storage.local and remembers the switch
+   * @param {Object} data - The items that do not fit in chrome.storage.sync
+   * @returns {Promise<void>}
+   * @throws {StorageError} If there's an error saving to chrome.storage.local
+   * @private
+   */
+  async fallBackToLocalArea(data) {
+    try {
+      await chrome.storage.local.set({
+        ...data,
+        [CONFIG.STORAGE.STORAGE_AREA]: CONFIG.STORAGE.AREAS.LOCAL,
+      });
+      this.areaName = CONFIG.STORAGE.AREAS.LOCAL;
+      console.warn(CONFIG.ERRORS.SYNC_QUOTA_EXCEEDED);
     } catch (error) {
       throw new StorageError(CONFIG.ERRORS.STORAGE_ERROR, {
         originalError: error,
@@ -46,6 +596,93 @@ export class ChatHistoryStorage {
     }
   }
 
+  /**
+   * Checks whether a chrome.storage error was caused by a quota limit
+   * @param {Error} error - The error thrown by chrome.storage
+   * @returns {boolean} True if a quota was exceeded
+   * @private
+   */
+  isQuotaError(error) {
+    return /QUOTA_BYTES|MAX_ITEMS/.test(error?.message ?? "");
+  }
+
+  /**
+   * Checks whether a chrome.storage error was caused by too many writes
+   * These limits reset after a minute or an hour, so the write can be retried
+   * @param {Error} error - The error thrown by chrome.storage
+   * @returns {boolean} True if a write rate limit was exceeded
+   * @private
+   */
+  isRateLimitError(error) {
+    return /MAX_WRITE_OPERATIONS_PER_(MINUTE|HOUR)/.test(error?.message ?? "");
+  }
+
+  /**
+   * Saves the pins after a short delay, so a burst of changes is written once
+   * Used for frequent updates such as titles, open times and the order, since
+   * chrome.storage.sync only allows a limited number of writes. Failed saves
+   * are logged, as nobody waits for them
+   * @private
+   */
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    const delay = Math.max(
+      CONFIG.TIMEOUTS.SAVE_DELAY,
+      this.rateLimitedUntil - Date.now(),
+    );
+    this.saveTimer = setTimeout(() => {
+      this.savePinnedConversations().catch((error) =>
+        console.error(CONFIG.ERRORS.STORAGE_ERROR, error),
+      );
+    }, delay);
+  }
+
+  /**
+   * Saves changes still waiting in scheduleSave() right away
+   * Call this before the page or popup holding the instance closes
+   * @returns {Promise<void>}
+   * @throws {StorageError} If there's an error saving to chrome.storage
+   */
+  async flush() {
+    if (this.saveTimer === null) return;
+    await this.savePinnedConversations();
+  }
+
+  /**
+   * Imports pins saved in the page's localStorage by older versions
+   * The localStorage key is removed once the pins are safely stored,
+   * so the import only ever runs once
+   * @returns {Promise<void>}
+   * @private
+   */
+  async migrateFromLocalStorage() {
+    // Read-only pins are left alone; the import runs once they can be saved
+    if (typeof localStorage === "undefined" || this.readOnly) return;
+
+    const key = CONFIG.STORAGE.PINNED_CONVERSATIONS;
+    let legacyPins;
+    try {
+      const data = localStorage.getItem(key);
+      if (!data) return;
+      const { pinDocument } = StorageSchema.sanitize(
+        StorageSchema.migrate(JSON.parse(data)),
+      );
+      legacyPins = pinDocument.pins;
+    } catch (error) {
+      console.error(CONFIG.ERRORS.MIGRATION_ERROR, error);
+      return;
+    }
+
+    let order = this.getNextOrder();
+    Object.values(legacyPins).forEach((record) => {
+      if (!(record.id in this.document.pins)) {
+        this.document.pins[record.id] = { ...record, order: order++ };
+      }
+    });
+    await this.savePinnedConversations();
+    localStorage.removeItem(key);
+  }
+
   /**
    * Validates conversation data
    * @param {string} conversationId - The conversation ID
@@ -53,14 +690,17 @@ export class ChatHistoryStorage {
    * @throws {ValidationError} If the data is invalid
    */
   validateConversationData(conversationId, title) {
-    if (!conversationId || typeof conversationId !== "string") {
-      throw new ValidationError("Invalid conversation ID");
+    if (
+      typeof conversationId !== "string" ||
+      !CONFIG.URL.CONVERSATION_ID_PATTERN.test(conversationId)
+    ) {
+      throw new ValidationError(CONFIG.ERRORS.INVALID_CONVERSATION_ID);
     }
     if (!title || typeof title !== "string") {
-      throw new ValidationError("Invalid conversation title");
+      throw new ValidationError(CONFIG.ERRORS.INVALID_CONVERSATION_TITLE);
     }
     if (this.isConversationPinned(conversationId)) {
-      throw new ValidationError("Conversation is already pinned");
+      throw new ValidationError(CONFIG.ERRORS.ALREADY_PINNED);
     }
   }
 
@@ -68,18 +708,44 @@ export class ChatHistoryStorage {
    * Pins a conversation with the given ID and title
    * @param {string} conversationId - The unique identifier of the conversation
    * @param {string} title - The title of the conversation
-   * @returns {boolean} True if the conversation was successfully pinned
+   * @param {Object} [options] - Pin options
+   * @param {Object|null} [options.route] - The custom GPT or project the conversation belongs to, as parsed by ConversationURL
+   * @param {string} [options.position] - Whether the pin goes to the top or bottom of the list
+   * @param {number|null} [options.expiresAt] - When the pin expires, or null to keep it
+   * @returns {Promise<boolean>} True if the conversation was successfully pinned
    * @throws {ValidationError} If the conversation data is invalid
    * @throws {StorageError} If there's an error saving to storage
    */
-  pinConversation(conversationId, title) {
+  async pinConversation(
+    conversationId,
+    title,
+    {
+      route = null,
+      position = CONFIG.SETTINGS.DEFAULTS.newPinPosition,
+      expiresAt = null,
+    } = {},
+  ) {
     try {
       this.validateConversationData(conversationId, title);
-      this.pinnedConversations[conversationId] = title;
-      this.savePinnedConversations();
+      if (!StorageSchema.isValidRoute(route)) {
+        throw new ValidationError(CONFIG.ERRORS.INVALID_ROUTE);
+      }
+      this.validateExpiry(expiresAt);
+      this.document.pins[conversationId] = StorageSchema.createPinRecord({
+        id: conversationId,
+        title,
+        route,
+        order:
+          position === CONFIG.PIN_POSITIONS.TOP
+            ? this.getFirstOrder()
+            : this.getNextOrder(),
+        expiresAt,
+      });
+      delete this.document.expired[conversationId];
+      await this.savePinnedConversations();
       return true;
     } catch (error) {
-      if (error instanceof ValidationError) {
+      if (error instanceof ValidationError || error instanceof StorageError) {
         throw error;
       }
       throw new StorageError(CONFIG.ERRORS.STORAGE_ERROR, {
@@ -91,24 +757,24 @@ export class ChatHistoryStorage {
   /**
    * Unpins a conversation with the given ID
    * @param {string} conversationId - The unique identifier of the conversation
-   * @returns {boolean} True if the conversation was successfully unpinned
+   * @returns {Promise<boolean>} True if the conversation was successfully unpinned
    * @throws {ValidationError} If the conversation ID is invalid or not pinned
    * @throws {StorageError} If there's an error saving to storage
    */
-  unpinConversation(conversationId) {
+  async unpinConversation(conversationId) {
     try {
       if (!conversationId || typeof conversationId !== "string") {
-        throw new ValidationError("Invalid conversation ID");
+        throw new ValidationError(CONFIG.ERRORS.INVALID_CONVERSATION_ID);
       }
       if (!this.isConversationPinned(conversationId)) {
-        throw new ValidationError("Conversation is not pinned");
+        throw new ValidationError(CONFIG.ERRORS.NOT_PINNED);
       }
 
-      delete this.pinnedConversations[conversationId];
-      this.savePinnedConversations();
+      delete this.document.pins[conversationId];
+      await this.savePinnedConversations();
       return true;
     } catch (error) {
-      if (error instanceof ValidationError) {
+      if (error instanceof ValidationError || error instanceof StorageError) {
         throw error;
       }
       throw new StorageError(CONFIG.ERRORS.STORAGE_ERROR, {
@@ -117,12 +783,685 @@ export class ChatHistoryStorage {
     }
   }
 
+  /**
+   * Records that a pinned conversation was opened
+   * A reminder that is due has done its job and is cleared. The change is
+   * saved after a short delay, see scheduleSave()
+   * @param {string} conversationId - The unique identifier of the conversation
+   * @returns {Promise<void>}
+   */
+  async markConversationOpened(conversationId) {
+    if (!this.isConversationPinned(conversationId)) return;
+    const record = this.document.pins[conversationId];
+    record.lastOpenedAt = Date.now();
+    if (StorageSchema.isReminderDue(record, record.lastOpenedAt)) {
+      record.reminder = null;
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Sets when to remind the user to revisit a pinned conversation
+   * @param {string} conversationId - The pinned conversation
+   * @param {number|null} remindAt - When to remind, or null to clear the reminder
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the conversation is not pinned or the time is not in the future
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async setReminder(conversationId, remindAt) {
+    if (!this.isConversationPinned(conversationId)) {
+      throw new ValidationError(CONFIG.ERRORS.NOT_PINNED);
+    }
+    if (
+      remindAt !== null &&
+      (!Number.isFinite(remindAt) || remindAt <= Date.now())
+    ) {
+      throw new ValidationError(CONFIG.ERRORS.REMINDER_IN_PAST);
+    }
+
+    this.document.pins[conversationId].reminder =
+      remindAt === null ? null : { remindAt, notifiedAt: null };
+    await this.savePinnedConversations();
+  }
+
+  /**
+   * Sets when a pin expires
+   * @param {string} conversationId - The pinned conversation
+   * @param {number|null} expiresAt - When the pin expires, or null to keep it
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the conversation is not pinned or the time is not in the future
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async setExpiry(conversationId, expiresAt) {
+    if (!this.isConversationPinned(conversationId)) {
+      throw new ValidationError(CONFIG.ERRORS.NOT_PINNED);
+    }
+    this.validateExpiry(expiresAt);
+    this.document.pins[conversationId].expiresAt = expiresAt;
+    await this.savePinnedConversations();
+  }
+
+  /**
+   * Checks that an expiry is either unset or in the future
+   * @param {number|null} expiresAt - When the pin expires
+   * @throws {ValidationError} If the expiry is invalid
+   * @private
+   */
+  validateExpiry(expiresAt) {
+    if (
+      expiresAt !== null &&
+      (!Number.isFinite(expiresAt) || expiresAt <= Date.now())
+    ) {
+      throw new ValidationError(CONFIG.ERRORS.EXPIRY_IN_PAST);
+    }
+  }
+
+  /**
+   * Moves expired pins to the recently expired area, and purges expired
+   * pins whose grace period is over
+   * @param {number} [now] - The current time
+   * @returns {Promise<{expired: string[], purged: string[]}>} IDs of the pins that expired and of those purged
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async expireConversations(now = Date.now()) {
+    const expired = Object.values(this.document.pins)
+      .filter((record) => StorageSchema.isExpired(record, now))
+      .map(({ id }) => id);
+    expired.forEach((id) => {
+      this.document.expired[id] = {
+        ...this.document.pins[id],
+        expiredAt: now,
+      };
+      delete this.document.pins[id];
+    });
+
+    const purged = Object.values(this.document.expired)
+      .filter(({ expiredAt }) => expiredAt + CONFIG.EXPIRY.GRACE_PERIOD <= now)
+      .map(({ id }) => id);
+    purged.forEach((id) => delete this.document.expired[id]);
+
+    if (expired.length > 0 || purged.length > 0) {
+      await this.savePinnedConversations();
+    }
+    return { expired, purged };
+  }
+
+  /**
+   * Pins an expired conversation again, without an expiry
+   * It goes back to its folder if that still exists
+   * @param {string} conversationId - The expired conversation
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the conversation is not in the recently expired area
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async restoreExpiredConversation(conversationId) {
+    const record = this.document.expired[conversationId];
+    if (!record) {
+      throw new ValidationError(CONFIG.ERRORS.NOT_EXPIRED);
+    }
+
+    const { expiredAt, ...pin } = record;
+    this.document.pins[conversationId] = {
+      ...pin,
+      expiresAt: null,
+      order: this.getNextOrder(),
+      folderId: pin.folderId in this.document.folders ? pin.folderId : null,
+      tagIds: pin.tagIds.filter((tagId) => tagId in this.document.tags),
+    };
+    delete this.document.expired[conversationId];
+    await this.savePinnedConversations();
+  }
+
+  /**
+   * Retrieves the pins in the recently expired area
+   * @returns {Object[]} Copies of the expired pin records, most recently expired first
+   */
+  getExpiredConversations() {
+    return Object.values(this.document.expired)
+      .map((record) => ({ ...record }))
+      .sort((a, b) => b.expiredAt - a.expiredAt);
+  }
+
+  /**
+   * Records that the user was notified of a due reminder
+   * @param {string} conversationId - The pinned conversation
+   * @returns {Promise<void>}
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async markReminderNotified(conversationId) {
+    const reminder = this.document.pins[conversationId]?.reminder;
+    if (!reminder) return;
+    reminder.notifiedAt = Date.now();
+    await this.savePinnedConversations();
+  }
+
+  /**
+   * Stores the titles ChatGPT currently shows for pinned conversations
+   * Pins with an alias keep their stored title, since the alias is the name
+   * the user chose to see. The titles are saved after a short delay, see
+   * scheduleSave()
+   * @param {Map<string, string>} titles - Titles keyed by conversation ID
+   * @returns {Promise<string[]>} IDs of the pins whose title changed
+   */
+  async updateConversationTitles(titles) {
+    const updated = [];
+    titles.forEach((title, conversationId) => {
+      const record = this.document.pins[conversationId];
+      if (!record || record.alias || !title || record.title === title) return;
+      record.title = title;
+      updated.push(conversationId);
+    });
+
+    if (updated.length > 0) {
+      this.scheduleSave();
+    }
+    return updated;
+  }
+
+  /**
+   * Bookmarks a message of a pinned conversation
+   * @param {string} conversationId - The pinned conversation
+   * @param {Object} message - The message to bookmark
+   * @param {string} message.messageId - ChatGPT's ID of the message
+   * @param {string} message.snippet - The message text, cut to CONFIG.UI.BOOKMARK_SNIPPET_LENGTH
+   * @returns {Promise<Object>} The created bookmark
+   * @throws {ValidationError} If the conversation is not pinned, the message is invalid or already bookmarked
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async addBookmark(conversationId, { messageId, snippet }) {
+    if (!this.isConversationPinned(conversationId)) {
+      throw new ValidationError(CONFIG.ERRORS.NOT_PINNED);
+    }
+    const bookmark = StorageSchema.createBookmarkRecord({
+      messageId,
+      snippet:
+        typeof snippet === "string"
+          ? snippet.trim().slice(0, CONFIG.UI.BOOKMARK_SNIPPET_LENGTH)
+          : snippet,
+    });
+    if (!StorageSchema.isValidBookmark(bookmark)) {
+      throw new ValidationError(CONFIG.ERRORS.INVALID_BOOKMARK);
+    }
+    if (this.isMessageBookmarked(conversationId, messageId)) {
+      throw new ValidationError(CONFIG.ERRORS.ALREADY_BOOKMARKED);
+    }
+
+    this.document.pins[conversationId].bookmarks.push(bookmark);
+    await this.savePinnedConversations();
+    return { ...bookmark };
+  }
+
+  /**
+   * Removes a message bookmark
+   * @param {string} conversationId - The pinned conversation
+   * @param {string} messageId - ChatGPT's ID of the bookmarked message
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the message is not bookmarked
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async removeBookmark(conversationId, messageId) {
+    if (!this.isMessageBookmarked(conversationId, messageId)) {
+      throw new ValidationError(CONFIG.ERRORS.NOT_BOOKMARKED);
+    }
+    const record = this.document.pins[conversationId];
+    record.bookmarks = record.bookmarks.filter(
+      (bookmark) => bookmark.messageId !== messageId,
+    );
+    await this.savePinnedConversations();
+  }
+
+  /**
+   * Checks if a message is bookmarked
+   * @param {string} conversationId - The conversation the message belongs to
+   * @param {string} messageId - ChatGPT's ID of the message
+   * @returns {boolean} True if the message is bookmarked
+   */
+  isMessageBookmarked(conversationId, messageId) {
+    return (
+      this.document.pins[conversationId]?.bookmarks.some(
+        (bookmark) => bookmark.messageId === messageId,
+      ) ?? false
+    );
+  }
+
+  /**
+   * Flags pins as pointing at deleted or archived conversations, or clears
+   * the flag
+   * Nothing is written when no flag changed; otherwise the flags are saved
+   * after a short delay, see scheduleSave()
+   * @param {string[]} conversationIds - The pinned conversations
+   * @param {boolean} stale - Whether the conversations are gone
+   * @returns {Promise<string[]>} IDs of the pins whose flag changed
+   */
+  async setConversationsStale(conversationIds, stale) {
+    const staleAt = stale ? Date.now() : null;
+    const updated = conversationIds.filter((conversationId) => {
+      const record = this.document.pins[conversationId];
+      if (!record || (record.staleAt !== null) === stale) return false;
+      record.staleAt = staleAt;
+      return true;
+    });
+
+    if (updated.length > 0) {
+      this.scheduleSave();
+    }
+    return updated;
+  }
+
+  /**
+   * Unpins every conversation flagged as deleted or archived
+   * @returns {Promise<string[]>} IDs of the removed pins
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async removeStaleConversations() {
+    const removed = Object.values(this.document.pins)
+      .filter(({ staleAt }) => staleAt !== null)
+      .map(({ id }) => id);
+    removed.forEach((conversationId) => {
+      delete this.document.pins[conversationId];
+    });
+
+    if (removed.length > 0) {
+      await this.savePinnedConversations();
+    }
+    return removed;
+  }
+
+  /**
+   * Updates the local alias and note of a pinned conversation
+   * Empty values clear the field; the ChatGPT title is never changed
+   * @param {string} conversationId - The unique identifier of the conversation
+   * @param {Object} details - Fields to update
+   * @param {string|null} [details.alias] - Name shown instead of the title
+   * @param {string|null} [details.note] - Free-text note about the pin
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the conversation is not pinned or a value is invalid
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async updateConversationDetails(conversationId, details) {
+    if (!this.isConversationPinned(conversationId)) {
+      throw new ValidationError(CONFIG.ERRORS.NOT_PINNED);
+    }
+    const record = this.document.pins[conversationId];
+    if ("alias" in details) {
+      record.alias = this.normalizeText(
+        details.alias,
+        CONFIG.UI.ALIAS_MAX_LENGTH,
+        CONFIG.ERRORS.INVALID_ALIAS,
+      );
+    }
+    if ("note" in details) {
+      record.note = this.normalizeText(
+        details.note,
+        CONFIG.UI.NOTE_MAX_LENGTH,
+        CONFIG.ERRORS.INVALID_NOTE,
+      );
+    }
+    await this.savePinnedConversations();
+  }
+
+  /**
+   * Trims an optional text value, turning empty values into null
+   * @param {string|null} value - The value to normalize
+   * @param {number} maxLength - Maximum allowed length
+   * @param {string} errorMessage - Message used when the value is invalid
+   * @returns {string|null} The trimmed value, or null
+   * @throws {ValidationError} If the value is not a string or too long
+   * @private
+   */
+  normalizeText(value, maxLength, errorMessage) {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== "string") {
+      throw new ValidationError(errorMessage);
+    }
+    const trimmed = value.trim();
+    if (trimmed.length > maxLength) {
+      throw new ValidationError(errorMessage);
+    }
+    return trimmed || null;
+  }
+
+  /**
+   * Stores a new order and folder assignment for the pinned conversations
+   * The layout is saved after a short delay, see scheduleSave()
+   * @param {Array<{conversationId: string, folderId: string|null}>} layout - Pinned conversations in their new order
+   * @returns {Promise<void>}
+   */
+  async reorderConversations(layout) {
+    layout.forEach(({ conversationId, folderId = null }, order) => {
+      if (!this.isConversationPinned(conversationId)) return;
+      const record = this.document.pins[conversationId];
+      record.order = order;
+      if (folderId === null || folderId in this.document.folders) {
+        record.folderId = folderId;
+      }
+    });
+    this.scheduleSave();
+  }
+
+  /**
+   * Moves a pinned conversation into a folder, or out of all folders
+   * @param {string} conversationId - The unique identifier of the conversation
+   * @param {string|null} folderId - The target folder, or null for no folder
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the conversation is not pinned or the folder does not exist
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async moveConversationToFolder(conversationId, folderId) {
+    if (!this.isConversationPinned(conversationId)) {
+      throw new ValidationError(CONFIG.ERRORS.NOT_PINNED);
+    }
+    if (folderId !== null) {
+      this.getFolderOrThrow(folderId);
+    }
+    this.document.pins[conversationId].folderId = folderId;
+    this.document.pins[conversationId].order = this.getNextOrder();
+    await this.savePinnedConversations();
+  }
+
+  /**
+   * Retrieves all folders
+   * @returns {Object[]} Copies of the folder records, in display order
+   */
+  getFolders() {
+    return Object.values(this.document.folders)
+      .map((record) => ({ ...record }))
+      .sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Creates a new folder
+   * @param {string} name - The folder name
+   * @returns {Promise<Object>} The created folder record
+   * @throws {ValidationError} If the name is invalid
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async createFolder(name) {
+    const folder = StorageSchema.createFolderRecord({
+      id: crypto.randomUUID(),
+      name: this.validateFolderName(name),
+      order: this.getNextOrder(this.document.folders),
+    });
+    this.document.folders[folder.id] = folder;
+    await this.savePinnedConversations();
+    return { ...folder };
+  }
+
+  /**
+   * Renames a folder
+   * @param {string} folderId - The folder ID
+   * @param {string} name - The new folder name
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the folder does not exist or the name is invalid
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async renameFolder(folderId, name) {
+    this.getFolderOrThrow(folderId).name = this.validateFolderName(name);
+    await this.savePinnedConversations();
+  }
+
+  /**
+   * Collapses or expands a folder
+   * @param {string} folderId - The folder ID
+   * @param {boolean} collapsed - Whether the folder is collapsed
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the folder does not exist
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async setFolderCollapsed(folderId, collapsed) {
+    this.getFolderOrThrow(folderId).collapsed = !!collapsed;
+    await this.savePinnedConversations();
+  }
+
+  /**
+   * Deletes a folder
+   * The pins inside it are kept and moved out of the folder
+   * @param {string} folderId - The folder ID
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the folder does not exist
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async deleteFolder(folderId) {
+    this.getFolderOrThrow(folderId);
+    Object.values(this.document.pins).forEach((record) => {
+      if (record.folderId === folderId) {
+        record.folderId = null;
+      }
+    });
+    delete this.document.folders[folderId];
+    await this.savePinnedConversations();
+  }
+
+  /**
+   * Retrieves all tags
+   * @returns {Object[]} Copies of the tag records, in display order
+   */
+  getTags() {
+    return Object.values(this.document.tags)
+      .map((record) => ({ ...record }))
+      .sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Creates a new tag
+   * @param {string} name - The tag name
+   * @param {string} [color] - The tag colour; picked from the palette if omitted
+   * @returns {Promise<Object>} The created tag record
+   * @throws {ValidationError} If the name or colour is invalid
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async createTag(name, color) {
+    const palette = CONFIG.UI.TAG_COLORS;
+    const tag = StorageSchema.createTagRecord({
+      id: crypto.randomUUID(),
+      name: this.validateTagName(name),
+      color: this.validateTagColor(
+        color ??
+          palette[Object.keys(this.document.tags).length % palette.length],
+      ),
+      order: this.getNextOrder(this.document.tags),
+    });
+    this.document.tags[tag.id] = tag;
+    await this.savePinnedConversations();
+    return { ...tag };
+  }
+
+  /**
+   * Renames a tag
+   * @param {string} tagId - The tag ID
+   * @param {string} name - The new tag name
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the tag does not exist or the name is invalid
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async renameTag(tagId, name) {
+    const tag = this.getTagOrThrow(tagId);
+    tag.name = this.validateTagName(name, tagId);
+    await this.savePinnedConversations();
+  }
+
+  /**
+   * Changes the colour of a tag
+   * @param {string} tagId - The tag ID
+   * @param {string} color - The new colour as a #rrggbb hex value
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the tag does not exist or the colour is invalid
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async setTagColor(tagId, color) {
+    this.getTagOrThrow(tagId).color = this.validateTagColor(color);
+    await this.savePinnedConversations();
+  }
+
+  /**
+   * Deletes a tag and removes it from every pin
+   * @param {string} tagId - The tag ID
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the tag does not exist
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async deleteTag(tagId) {
+    this.getTagOrThrow(tagId);
+    Object.values(this.document.pins).forEach((record) => {
+      record.tagIds = record.tagIds.filter((id) => id !== tagId);
+    });
+    delete this.document.tags[tagId];
+    await this.savePinnedConversations();
+  }
+
+  /**
+   * Puts a tag on a pinned conversation, or takes it off
+   * @param {string} conversationId - The unique identifier of the conversation
+   * @param {string} tagId - The tag ID
+   * @param {boolean} enabled - Whether the pin should have the tag
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the conversation is not pinned or the tag does not exist
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async setConversationTag(conversationId, tagId, enabled) {
+    if (!this.isConversationPinned(conversationId)) {
+      throw new ValidationError(CONFIG.ERRORS.NOT_PINNED);
+    }
+    this.getTagOrThrow(tagId);
+
+    const record = this.document.pins[conversationId];
+    const tagIds = record.tagIds.filter((id) => id !== tagId);
+    record.tagIds = enabled ? [...tagIds, tagId] : tagIds;
+    await this.savePinnedConversations();
+  }
+
+  /**
+   * Gets a stored tag record
+   * @param {string} tagId - The tag ID
+   * @returns {Object} The stored tag record
+   * @throws {ValidationError} If the tag does not exist
+   * @private
+   */
+  getTagOrThrow(tagId) {
+    const tag = this.document.tags[tagId];
+    if (!tag) {
+      throw new ValidationError(CONFIG.ERRORS.TAG_NOT_FOUND);
+    }
+    return tag;
+  }
+
+  /**
+   * Validates and normalizes a tag name
+   * @param {string} name - The tag name
+   * @param {string} [tagId] - The tag being renamed, excluded from the duplicate check
+   * @returns {string} The trimmed name
+   * @throws {ValidationError} If the name is empty, too long or already used
+   * @private
+   */
+  validateTagName(name, tagId) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    if (!trimmed || trimmed.length > CONFIG.UI.TAG_NAME_MAX_LENGTH) {
+      throw new ValidationError(CONFIG.ERRORS.INVALID_TAG_NAME);
+    }
+    const duplicate = Object.values(this.document.tags).some(
+      (tag) =>
+        tag.id !== tagId && tag.name.toLowerCase() === trimmed.toLowerCase(),
+    );
+    if (duplicate) {
+      throw new ValidationError(CONFIG.ERRORS.TAG_EXISTS);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Validates a tag colour
+   * @param {string} color - The colour as a #rrggbb hex value
+   * @returns {string} The lower-cased colour
+   * @throws {ValidationError} If the colour is not a #rrggbb hex value
+   * @private
+   */
+  validateTagColor(color) {
+    if (!CONFIG.UI.TAG_COLOR_PATTERN.test(color ?? "")) {
+      throw new ValidationError(CONFIG.ERRORS.INVALID_TAG_COLOR);
+    }
+    return color.toLowerCase();
+  }
+
+  /**
+   * Gets a stored folder record
+   * @param {string} folderId - The folder ID
+   * @returns {Object} The stored folder record
+   * @throws {ValidationError} If the folder does not exist
+   * @private
+   */
+  getFolderOrThrow(folderId) {
+    const folder = this.document.folders[folderId];
+    if (!folder) {
+      throw new ValidationError(CONFIG.ERRORS.FOLDER_NOT_FOUND);
+    }
+    return folder;
+  }
+
+  /**
+   * Validates and normalizes a folder name
+   * @param {string} name - The folder name
+   * @returns {string} The trimmed name
+   * @throws {ValidationError} If the name is empty or too long
+   * @private
+   */
+  validateFolderName(name) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    if (!trimmed || trimmed.length > CONFIG.UI.FOLDER_NAME_MAX_LENGTH) {
+      throw new ValidationError(CONFIG.ERRORS.INVALID_FOLDER_NAME);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Gets a copy of the whole pin document, e.g. for exporting it
+   * @returns {{version: number, pins: Object, folders: Object, tags: Object}} The pin document
+   */
+  getDocument() {
+    return structuredClone(this.document);
+  }
+
+  /**
+   * Replaces all pins, folders and tags with the given document
+   * @param {{version: number, pins: Object, folders: Object, tags: Object}} pinDocument - A current-version document
+   * @returns {Promise<void>}
+   * @throws {StorageError} If the document is malformed or cannot be saved
+   */
+  async replaceDocument(pinDocument) {
+    this.document = StorageSchema.sanitize(
+      StorageSchema.migrate(structuredClone(pinDocument)),
+    ).pinDocument;
+    await this.savePinnedConversations();
+  }
+
   /**
    * Retrieves all pinned conversations
-   * @returns {Object} An object containing all pinned conversations
+   * @returns {Object[]} Copies of the pin records, in list order
    */
   getPinnedConversations() {
-    return { ...this.pinnedConversations };
+    return Object.values(this.document.pins)
+      .map((record) => ({ ...record }))
+      .sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Gets the order value that places a record after all existing ones
+   * @param {Object} [records] - The records to look at, pins by default
+   * @returns {number} The next order value
+   * @private
+   */
+  getNextOrder(records = this.document.pins) {
+    const orders = Object.values(records).map(({ order }) => order);
+    return orders.length > 0 ? Math.max(...orders) + 1 : 0;
+  }
+
+  /**
+   * Gets the order value that places a pin before all existing pins
+   * @returns {number} The first order value
+   * @private
+   */
+  getFirstOrder() {
+    const orders = Object.values(this.document.pins).map(({ order }) => order);
+    return orders.length > 0 ? Math.min(...orders) - 1 : 0;
   }
 
   /**
@@ -133,8 +1472,8 @@ export class ChatHistoryStorage {
    */
   isConversationPinned(conversationId) {
     if (!conversationId || typeof conversationId !== "string") {
-      throw new ValidationError("Invalid conversation ID");
+      throw new ValidationError(CONFIG.ERRORS.INVALID_CONVERSATION_ID);
     }
-    return conversationId in this.pinnedConversations;
+    return conversationId in this.document.pins;
   }
 }
@@ -1,8 +1,28 @@
 import { ChatHistoryStorage } from "./ChatHistoryStorage.js";
+import { SettingsStorage } from "./SettingsStorage.js";
+import { StorageSchema } from "./StorageSchema.js";
 import { URLTracker } from "./URLTracker.js";
 import { EventManager, EVENT_TYPES } from "./EventManager.js";
+import { ListReorder } from "./ListReorder.js";
+import { ContextMenu } from "./ContextMenu.js";
+import { SelectorResolver } from "./SelectorResolver.js";
+import { MountWatcher } from "./MountWatcher.js";
+import { TitleWatcher } from "./TitleWatcher.js";
+import { StalePinDetector } from "./StalePinDetector.js";
 import DOMUtils from "./DOMUtils.js";
-import { PIN_ICON_SVG, UNPIN_ICON_SVG } from "./icons.js";
+import ConversationURL from "./ConversationURL.js";
+import FuzzyMatcher from "./FuzzyMatcher.js";
+import Logger from "./Logger.js";
+import I18n from "./I18n.js";
+import {
+  PIN_ICON_SVG,
+  UNPIN_ICON_SVG,
+  CHEVRON_ICON_SVG,
+  NEW_FOLDER_ICON_SVG,
+  EDIT_ICON_SVG,
+  DELETE_ICON_SVG,
+  BOOKMARK_ICON_SVG,
+} from "./icons.js";
 import CONFIG from "../config.js";
 import { DOMError } from "./errors.js";
 
@@ -13,144 +33,1975 @@ import { DOMError } from "./errors.js";
 class ChatHistoryUI {
   /**
    * Creates a new ChatHistoryUI instance
-   * Initializes storage manager and checks for existing history items
+   * Creates the storage manager and starts the asynchronous initialization
    */
   constructor() {
     this.storageManager = new ChatHistoryStorage();
+    this.settingsStorage = new SettingsStorage();
+    this.settings = this.settingsStorage.getSettings();
     this.eventManager = new EventManager();
     this.urlTracker = null;
+    this.listReorder = null;
+    this.contextMenu = new ContextMenu();
+    this.selectorResolver = new SelectorResolver();
+    this.mountWatcher = new MountWatcher({
+      isMounted: () => this.isPinnedSectionMounted(),
+      onUnmount: this.handlePinnedSectionUnmount,
+    });
+    this.stalePinDetector = new StalePinDetector(this.selectorResolver);
+    this.titleWatcher = new TitleWatcher({
+      selectorResolver: this.selectorResolver,
+      onTitles: this.handleConversationTitles,
+    });
+    this.tagFilter = {
+      tagIds: new Set(),
+      mode: CONFIG.TAG_MATCH_MODES.ANY,
+    };
+    this.searchQuery = "";
+    this.sectionCollapsed = false;
+    this.showAllPins = false;
     this.chatContainer = null;
     this.templateHistoryItem = null;
+    this.liveRegion = null;
     this.init();
   }
 
   /**
-   * Initializes the chat history UI
+   * Initializes the chat history UI
+   * @private
+   */
+  async init() {
+    try {
+      await this.storageManager.init();
+      await this.loadSettings();
+      this.sectionCollapsed = await this.storageManager.isSectionCollapsed();
+      await this.waitForChatContainer();
+      await DOMUtils.createAndAppendPinButtonStyles();
+      await this.createPinnedSection();
+      this.setupEventListeners();
+      this.setUpURLTracker();
+      this.loadPinnedConversations();
+      this.checkConversationAvailability(this.getCurrentConversationId());
+    } catch (error) {
+      console.error("Failed to initialize ChatHistoryUI:", error);
+      this.showDegradedIndicator(error);
+    }
+  }
+
+  /**
+   * Loads the user settings
+   * The defaults are kept if the settings cannot be read, so the pins still show
+   * @returns {Promise<void>}
+   * @private
+   */
+  async loadSettings() {
+    try {
+      this.settings = await this.settingsStorage.load();
+    } catch (error) {
+      console.error("Failed to load settings:", error);
+    }
+    Logger.setEnabled(this.settings.debugLogging);
+    this.applyAccentColor();
+  }
+
+  /**
+   * Overrides the theme's accent colour with the one from the settings
+   * The property is set on <html>, so the context menu and other elements
+   * outside the sidebar use it too
+   * @private
+   */
+  applyAccentColor() {
+    const { style } = document.documentElement;
+    if (this.settings.accentColor) {
+      style.setProperty(
+        CONFIG.THEME.ACCENT_PROPERTY,
+        this.settings.accentColor,
+      );
+    } else {
+      style.removeProperty(CONFIG.THEME.ACCENT_PROPERTY);
+    }
+  }
+
+  /**
+   * Applies settings changed on the options page without a reload
+   * @param {Object} settings - The new settings
+   * @param {string[]} changedKeys - Names of the changed settings
+   * @private
+   */
+  handleSettingsChange = (settings, changedKeys) => {
+    this.settings = settings;
+    Logger.setEnabled(settings.debugLogging);
+    Logger.debug("Settings changed:", changedKeys);
+    if (changedKeys.includes("accentColor")) {
+      this.applyAccentColor();
+    }
+    if (!this.isPinnedSectionMounted()) return;
+
+    const section = this.getPinnedList().parentElement;
+    if (changedKeys.includes("sectionTitle")) {
+      section.querySelector(`.${CONFIG.CLASSES.SECTION_TITLE}`).textContent =
+        settings.sectionTitle;
+    }
+    if (changedKeys.includes("placement")) {
+      this.placePinnedSection(section, section.parentElement);
+    }
+    if (changedKeys.includes("pinButtons")) {
+      this.applyPinButtonMode();
+    }
+    if (changedKeys.includes("maxVisiblePins")) {
+      this.applyPinnedListFilter();
+    }
+  };
+
+  /**
+   * Tells the user the extension could not attach to the page
+   * @param {Error} error - The initialization error
+   * @private
+   */
+  showDegradedIndicator(error) {
+    if (document.querySelector(`.${CONFIG.CLASSES.DEGRADED_INDICATOR}`)) {
+      return;
+    }
+
+    const indicator = DOMUtils.createElement("div");
+    indicator.className = CONFIG.CLASSES.DEGRADED_INDICATOR;
+    indicator.setAttribute("role", "alert");
+    I18n.applyLanguage(indicator);
+    indicator.textContent = CONFIG.UI.DEGRADED;
+    indicator.setAttribute(
+      "title",
+      CONFIG.UI.DEGRADED_DETAILS.replace(
+        "%s",
+        error.details?.target ?? error.message,
+      ),
+    );
+
+    const dismissButton = DOMUtils.createElement("button");
+    dismissButton.type = "button";
+    dismissButton.textContent = "×";
+    dismissButton.setAttribute("aria-label", CONFIG.UI.DISMISS);
+    dismissButton.addEventListener("click", () => indicator.remove());
+    indicator.appendChild(dismissButton);
+
+    document.body.appendChild(indicator);
+  }
+
+  /**
+   * Waits for the chat container to be available
+   * @private
+   */
+  async waitForChatContainer() {
+    try {
+      this.chatContainer = await this.selectorResolver.waitFor(
+        CONFIG.SELECTOR_STRATEGIES.CHAT_CONTAINER,
+      );
+      this.templateHistoryItem = await this.selectorResolver.waitFor(
+        CONFIG.SELECTOR_STRATEGIES.HISTORY_ITEM,
+      );
+      this.templateHistoryItem.firstElementChild.style = null;
+      this.templateHistoryItem = DOMUtils.cloneElement(
+        this.templateHistoryItem,
+      );
+    } catch (error) {
+      throw new DOMError(CONFIG.ERRORS.CHAT_ELEMENTS_NOT_FOUND, {
+        ...error.details,
+        originalError: error,
+      });
+    }
+  }
+
+  /**
+   * Sets up event listeners for chat container interactions
+   * @private
+   */
+  setupEventListeners() {
+    this.attachSidebarListeners();
+    this.mountWatcher.start();
+
+    // Use EventManager for custom events
+    this.eventManager.on(
+      EVENT_TYPES.PIN_CONVERSATION,
+      this.handlePinConversation,
+    );
+    this.eventManager.on(
+      EVENT_TYPES.UNPIN_CONVERSATION,
+      this.handleUnpinConversation,
+    );
+
+    // Messages are re-rendered while a conversation streams, so listen on the document
+    document.addEventListener("mouseover", this.handleMessageHover);
+    document.addEventListener("focusin", this.handleMessageHover);
+    window.addEventListener("pagehide", this.handlePageHide);
+    this.createLiveRegion();
+
+    chrome.runtime.onMessage.addListener(this.handleRuntimeMessage);
+    this.storageManager.watchForChanges(this.handleStoredPinsChange);
+    this.settingsStorage.watchForChanges(this.handleSettingsChange);
+  }
+
+  /**
+   * Listens for interactions with the sidebar and the pinned list
+   * These listeners live on elements ChatGPT may replace, so they are
+   * attached again whenever the section is re-mounted
+   * @private
+   */
+  attachSidebarListeners() {
+    const pinnedList = this.getPinnedList();
+    this.chatContainer.addEventListener(
+      "mouseover",
+      this.handleConversationHover,
+    );
+    // Keyboard users reach the pin buttons by tabbing through the history
+    this.chatContainer.addEventListener(
+      "focusin",
+      this.handleConversationHover,
+    );
+
+    this.listReorder = new ListReorder(pinnedList, {
+      itemSelector: CONFIG.SELECTORS.PINNED_ITEM,
+      onReorder: this.handlePinnedListReorder,
+      getContainer: this.getDropContainer,
+    });
+    this.listReorder.attach();
+    pinnedList.addEventListener("contextmenu", this.handlePinnedContextMenu);
+    pinnedList.addEventListener("keydown", this.handlePinnedListKeyDown);
+    this.titleWatcher.start(this.chatContainer);
+  }
+
+  /**
+   * Removes the listeners added by attachSidebarListeners()
+   * @private
+   */
+  detachSidebarListeners() {
+    this.titleWatcher.stop();
+    this.chatContainer?.removeEventListener(
+      "mouseover",
+      this.handleConversationHover,
+    );
+    this.chatContainer?.removeEventListener(
+      "focusin",
+      this.handleConversationHover,
+    );
+    if (this.listReorder) {
+      this.listReorder.detach();
+      this.listReorder.root.removeEventListener(
+        "contextmenu",
+        this.handlePinnedContextMenu,
+      );
+      this.listReorder.root.removeEventListener(
+        "keydown",
+        this.handlePinnedListKeyDown,
+      );
+      this.listReorder = null;
+    }
+  }
+
+  /**
+   * Checks whether the pinned section is still in the page
+   * @returns {boolean} True if the container and the pinned list are connected
+   * @private
+   */
+  isPinnedSectionMounted() {
+    return !!(this.chatContainer?.isConnected && this.getPinnedList());
+  }
+
+  /**
+   * Puts the pinned section back after ChatGPT re-rendered the sidebar
+   * While the sidebar is closed or still rendering nothing happens, and the
+   * next DOM change tries again
+   * @private
+   */
+  handlePinnedSectionUnmount = () => {
+    const chatContainer = this.selectorResolver.resolve(
+      CONFIG.SELECTOR_STRATEGIES.CHAT_CONTAINER,
+    );
+    const sidebarPanel =
+      chatContainer &&
+      this.selectorResolver.resolve(
+        CONFIG.SELECTOR_STRATEGIES.SIDEBAR_PANEL,
+        chatContainer,
+      );
+    if (!sidebarPanel) return;
+
+    Logger.debug("Sidebar re-rendered, mounting the pinned section again");
+    this.contextMenu.close();
+    this.detachSidebarListeners();
+    this.chatContainer = chatContainer;
+    this.mountPinnedSection(sidebarPanel);
+    this.attachSidebarListeners();
+    this.loadPinnedConversations();
+    this.conversationChanged(this.getCurrentConversationId());
+  };
+
+  /**
+   * Keeps pinned titles in line with conversations renamed in ChatGPT, and
+   * flags pins the sidebar history no longer lists
+   * @param {Map<string, string>} titles - Titles keyed by conversation ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  handleConversationTitles = async (titles) => {
+    this.applyPinButtonMode();
+    try {
+      const renamed =
+        await this.storageManager.updateConversationTitles(titles);
+      const { missing, listed } =
+        this.stalePinDetector.findMissingConversations(
+          this.storageManager.getPinnedConversations(),
+          this.chatContainer,
+        );
+      const flagged = await this.storageManager.setConversationsStale(
+        missing,
+        true,
+      );
+      const restored = await this.storageManager.setConversationsStale(
+        listed,
+        false,
+      );
+      if (renamed.length + flagged.length + restored.length > 0) {
+        this.applyPinnedListFilter();
+      }
+    } catch (error) {
+      console.error("Failed to update pins from the sidebar:", error);
+    }
+  };
+
+  /**
+   * Flags a pin when opening it ends on ChatGPT's "not found" state, and
+   * clears the flag once the conversation loads
+   * The result is dropped if another conversation was opened meanwhile;
+   * ChatGPT may send a missing conversation back to the home page, so that
+   * still counts as not found
+   * @param {string|null} conversationId - The opened conversation
+   * @returns {Promise<void>}
+   * @private
+   */
+  async checkConversationAvailability(conversationId) {
+    if (
+      !conversationId ||
+      !this.storageManager.isConversationPinned(conversationId)
+    ) {
+      return;
+    }
+
+    const state = await this.stalePinDetector.waitForConversationState();
+    const currentId = this.getCurrentConversationId();
+    const isNotFound = state === CONFIG.CONVERSATION_STATES.NOT_FOUND;
+    if (
+      !state ||
+      (currentId !== conversationId && !(isNotFound && !currentId))
+    ) {
+      return;
+    }
+
+    try {
+      const updated = await this.storageManager.setConversationsStale(
+        [conversationId],
+        isNotFound,
+      );
+      if (updated.length > 0) {
+        this.applyPinnedListFilter();
+      }
+    } catch (error) {
+      console.error("Failed to update pin:", error);
+    }
+  }
+
+  /**
+   * Unpins every conversation flagged as deleted or archived
+   * @returns {Promise<void>}
+   * @private
+   */
+  handleRemoveStalePins = async () => {
+    try {
+      const removed = await this.storageManager.removeStaleConversations();
+      removed.forEach((conversationId) =>
+        this.removePinnedConversationFromUI(conversationId),
+      );
+      this.applyPinnedListFilter();
+    } catch (error) {
+      console.error("Failed to remove broken pins:", error);
+    }
+  };
+
+  /**
+   * Shows pins changed in another tab or in the popup
+   * @private
+   */
+  handleStoredPinsChange = () => {
+    this.loadPinnedConversations();
+  };
+
+  /**
+   * Handles messages sent by the background service worker
+   * @param {{type: string, command?: string}} message - The message
+   * @private
+   */
+  handleRuntimeMessage = (message) => {
+    if (message?.type === CONFIG.MESSAGES.COMMAND) {
+      this.handleCommand(message.command);
+    }
+  };
+
+  /**
+   * Runs a keyboard shortcut forwarded from chrome.commands
+   * @param {string} command - The command name
+   * @private
+   */
+  handleCommand(command) {
+    if (command === CONFIG.COMMANDS.TOGGLE_PIN) {
+      this.togglePinCurrentConversation();
+    } else if (command === CONFIG.COMMANDS.FOCUS_PINNED_LIST) {
+      this.focusPinnedList();
+    } else if (command?.startsWith(CONFIG.COMMANDS.OPEN_PIN_PREFIX)) {
+      const position = Number(
+        command.slice(CONFIG.COMMANDS.OPEN_PIN_PREFIX.length),
+      );
+      this.getVisiblePinnedItems()[position - 1]?.querySelector("a").click();
+    }
+  }
+
+  /**
+   * Pins the open conversation, or unpins it if it is already pinned
+   * @private
+   */
+  togglePinCurrentConversation() {
+    const conversation = ConversationURL.parse(location.pathname);
+    if (!conversation) return;
+
+    if (this.storageManager.isConversationPinned(conversation.id)) {
+      this.eventManager.emit(EVENT_TYPES.UNPIN_CONVERSATION, {
+        conversationId: conversation.id,
+      });
+      return;
+    }
+
+    const sidebarLink = this.findSidebarLink(conversation.id);
+    const title =
+      sidebarLink?.firstElementChild?.textContent?.trim() || document.title;
+    this.eventManager.emit(EVENT_TYPES.PIN_CONVERSATION, {
+      conversationId: conversation.id,
+      route: conversation.route,
+      title,
+    });
+  }
+
+  /**
+   * Moves keyboard focus to the first visible pin, or to the search box
+   * when no pin is visible
+   * @private
+   */
+  focusPinnedList() {
+    if (this.sectionCollapsed) {
+      this.handleSectionToggle();
+    }
+    const [firstItem] = this.getVisiblePinnedItems();
+    if (firstItem) {
+      firstItem.querySelector("a").focus();
+    } else {
+      this.chatContainer
+        .querySelector(`.${CONFIG.CLASSES.SEARCH_INPUT}`)
+        ?.focus();
+    }
+  }
+
+  /**
+   * Gets the pinned items the user can currently see, in list order
+   * @returns {Element[]} The visible pinned items
+   * @private
+   */
+  getVisiblePinnedItems() {
+    return Array.from(
+      this.getPinnedList().querySelectorAll(CONFIG.SELECTORS.PINNED_ITEM),
+    ).filter((item) =>
+      item.checkVisibility ? item.checkVisibility() : !item.hidden,
+    );
+  }
+
+  /**
+   * Moves through the pinned list with the keyboard
+   * ArrowUp and ArrowDown go to the previous or next pin, bookmark or folder,
+   * Home and End to the first or last one. Enter opens the focused pin, since
+   * its link has no href for the browser to follow
+   * @param {KeyboardEvent} e - The keydown event
+   * @private
+   */
+  handlePinnedListKeyDown = (e) => {
+    if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    if (e.target.matches("input, textarea")) return;
+
+    const rowSelector = `.${CONFIG.CLASSES.FOLDER_TOGGLE}, a[chatLink]`;
+    if (e.key === "Enter" && e.target.matches("a[chatLink]")) {
+      e.preventDefault();
+      e.target.click();
+      return;
+    }
+    if (!["ArrowUp", "ArrowDown", "Home", "End"].includes(e.key)) return;
+
+    const rows = Array.from(
+      this.getPinnedList().querySelectorAll(rowSelector),
+    ).filter((row) =>
+      row.checkVisibility ? row.checkVisibility() : !row.closest("[hidden]"),
+    );
+    const current =
+      e.target.closest(rowSelector) ??
+      e.target
+        .closest(CONFIG.SELECTORS.PINNED_ITEM)
+        ?.querySelector("a[chatLink]");
+    const index = rows.indexOf(current);
+    if (rows.length === 0 || index === -1) return;
+
+    e.preventDefault();
+    const targetIndex = {
+      ArrowUp: Math.max(index - 1, 0),
+      ArrowDown: Math.min(index + 1, rows.length - 1),
+      Home: 0,
+      End: rows.length - 1,
+    }[e.key];
+    rows[targetIndex].focus();
+  };
+
+  /**
+   * Creates and appends the pinned conversations section to the sidebar
+   * @private
+   */
+  async createPinnedSection() {
+    let sidebarPanel = this.selectorResolver.resolve(
+      CONFIG.SELECTOR_STRATEGIES.SIDEBAR_PANEL,
+      this.chatContainer,
+    );
+    if (!sidebarPanel) {
+      this.chatContainer = await this.selectorResolver.waitFor(
+        CONFIG.SELECTOR_STRATEGIES.CHAT_CONTAINER,
+      );
+      sidebarPanel = await this.selectorResolver.waitFor(
+        CONFIG.SELECTOR_STRATEGIES.SIDEBAR_PANEL,
+      );
+      if (!sidebarPanel) {
+        throw new DOMError(CONFIG.ERRORS.SIDEBAR_NOT_FOUND);
+      }
+      Logger.debug("Sidebar panel found on the second attempt");
+    }
+
+    this.mountPinnedSection(sidebarPanel);
+  }
+
+  /**
+   * Builds the pinned section and adds it to the sidebar panel
+   * Sections left over from an earlier mount are removed first. The section
+   * is marked with the extension's language, so it is laid out right to left
+   * for Arabic even when ChatGPT itself is shown in English
+   * @param {Element} sidebarPanel - The panel holding the conversation history
+   * @private
+   */
+  mountPinnedSection(sidebarPanel) {
+    document
+      .querySelectorAll(CONFIG.SELECTORS.PINNED_LIST)
+      .forEach((pinnedList) => pinnedList.parentElement.remove());
+
+    const searchInput = DOMUtils.createSearchInput({
+      placeholder: CONFIG.UI.SEARCH_PLACEHOLDER,
+      onSearch: this.handleSearch,
+    });
+    searchInput.value = this.searchQuery;
+
+    const tagBar = DOMUtils.createElement("div");
+    tagBar.className = CONFIG.CLASSES.TAG_BAR;
+    tagBar.hidden = true;
+
+    const pinnedSection = DOMUtils.createSection({
+      title: this.settings.sectionTitle,
+      id: CONFIG.SELECTORS.PINNED_LIST.slice(1),
+      actions: [
+        this.createIconButton({
+          label: CONFIG.UI.NEW_FOLDER,
+          innerHTML: NEW_FOLDER_ICON_SVG,
+          onClick: this.handleCreateFolder,
+        }),
+      ],
+      toolbar: [searchInput, tagBar, this.createStaleNotice()],
+      collapsed: this.sectionCollapsed,
+      toggleIcon: CHEVRON_ICON_SVG,
+      onToggle: this.handleSectionToggle,
+    });
+
+    const showMoreButton = DOMUtils.createElement("button");
+    showMoreButton.type = "button";
+    showMoreButton.className = CONFIG.CLASSES.SHOW_MORE;
+    showMoreButton.hidden = true;
+    showMoreButton.addEventListener("click", this.handleShowMoreToggle);
+    pinnedSection.append(showMoreButton, this.createExpiredArea());
+    I18n.applyLanguage(pinnedSection);
+
+    this.placePinnedSection(pinnedSection, sidebarPanel.firstElementChild);
+    this.applyPinButtonMode();
+  }
+
+  /**
+   * Puts the pinned section above or below ChatGPT's history, as set in
+   * the placement setting
+   * @param {HTMLElement} pinnedSection - The pinned section
+   * @param {Element} container - The element holding the history sections
+   * @private
+   */
+  placePinnedSection(pinnedSection, container) {
+    if (this.settings.placement === CONFIG.SECTION_PLACEMENTS.BOTTOM) {
+      container.append(pinnedSection);
+    } else {
+      container.prepend(pinnedSection);
+    }
+  }
+
+  /**
+   * Shows pin buttons on hover only, or on every history item, as set in the
+   * pinButtons setting
+   * @private
+   */
+  applyPinButtonMode() {
+    const alwaysShown =
+      this.settings.pinButtons === CONFIG.PIN_BUTTON_MODES.ALWAYS;
+    this.chatContainer?.classList.toggle(
+      CONFIG.CLASSES.PIN_BUTTONS_ALWAYS,
+      alwaysShown,
+    );
+    if (!alwaysShown || !this.chatContainer) return;
+
+    this.selectorResolver
+      .resolveAll(CONFIG.SELECTOR_STRATEGIES.HISTORY_ITEM, this.chatContainer)
+      .forEach((item) => {
+        const link = item.querySelector(CONFIG.SELECTORS.CONVERSATION_LINK);
+        if (link && !link.closest(CONFIG.SELECTORS.PINNED_LIST)) {
+          this.handleConversationHover({ target: link });
+        }
+      });
+  }
+
+  /**
+   * Collapses or expands the pinned section and remembers the state
+   * @private
+   */
+  handleSectionToggle = async () => {
+    const section = this.getPinnedList().parentElement;
+    this.sectionCollapsed = section.classList.toggle(
+      CONFIG.CLASSES.SECTION_COLLAPSED,
+    );
+    section
+      .querySelector(`.${CONFIG.CLASSES.SECTION_TOGGLE}`)
+      .setAttribute("aria-expanded", String(!this.sectionCollapsed));
+    try {
+      await this.storageManager.setSectionCollapsed(this.sectionCollapsed);
+    } catch (error) {
+      console.error("Failed to remember the section state:", error);
+    }
+  };
+
+  /**
+   * Shows every pin, or only as many as the maxVisiblePins setting allows again
+   * @private
+   */
+  handleShowMoreToggle = () => {
+    this.showAllPins = !this.showAllPins;
+    this.applyPinnedListFilter();
+  };
+
+  /**
+   * Hides the pins past the maxVisiblePins setting behind a "show more" button
+   * Pins in collapsed folders take no room and are not counted. While the
+   * list is searched or filtered every match is shown
+   * @param {boolean} isFiltered - Whether a search or tag filter is active
+   * @private
+   */
+  applyOverflowLimit(isFiltered) {
+    const pinnedList = this.getPinnedList();
+    const showMoreButton = pinnedList.parentElement.querySelector(
+      `.${CONFIG.CLASSES.SHOW_MORE}`,
+    );
+    const items = Array.from(
+      pinnedList.querySelectorAll(CONFIG.SELECTORS.PINNED_ITEM),
+    );
+    const shownItems = items.filter(
+      (item) =>
+        !item.hidden && !item.closest(`.${CONFIG.CLASSES.FOLDER_COLLAPSED}`),
+    );
+    const overflowCount = isFiltered
+      ? 0
+      : Math.max(shownItems.length - this.settings.maxVisiblePins, 0);
+
+    items.forEach((item) => item.classList.remove(CONFIG.CLASSES.PIN_OVERFLOW));
+    if (!this.showAllPins) {
+      shownItems
+        .slice(shownItems.length - overflowCount)
+        .forEach((item) => item.classList.add(CONFIG.CLASSES.PIN_OVERFLOW));
+    }
+
+    if (!showMoreButton) return;
+    showMoreButton.hidden = overflowCount === 0;
+    showMoreButton.textContent = this.showAllPins
+      ? CONFIG.UI.SHOW_LESS
+      : CONFIG.UI.SHOW_MORE.replace("%s", overflowCount);
+  }
+
+  /**
+   * Shows how many conversations are pinned next to the section title
+   * @param {number} count - The number of pins
+   * @private
+   */
+  renderSectionCount(count) {
+    const countElement = this.getPinnedList().parentElement.querySelector(
+      `.${CONFIG.CLASSES.SECTION_COUNT}`,
+    );
+    if (!countElement) return;
+    countElement.textContent = count;
+    countElement.setAttribute(
+      "aria-label",
+      CONFIG.UI.PIN_COUNT.replace("%s", count),
+    );
+  }
+
+  /**
+   * Creates the notice offering to remove pins to deleted or archived
+   * conversations, hidden until such pins are found
+   * @returns {HTMLDivElement} The created notice
+   * @private
+   */
+  createStaleNotice() {
+    const notice = DOMUtils.createElement("div");
+    notice.className = CONFIG.CLASSES.STALE_NOTICE;
+    notice.setAttribute("role", "status");
+    notice.hidden = true;
+
+    const removeButton = DOMUtils.createElement("button");
+    removeButton.type = "button";
+    removeButton.textContent = CONFIG.UI.REMOVE_STALE_PINS;
+    removeButton.addEventListener("click", this.handleRemoveStalePins);
+
+    notice.append(DOMUtils.createElement("span"), removeButton);
+    return notice;
+  }
+
+  /**
+   * Shows how many pins are stale, or hides the notice when none are
+   * @param {Object[]} pins - The pin records
+   * @private
+   */
+  renderStaleNotice(pins) {
+    const notice = this.chatContainer.querySelector(
+      `.${CONFIG.CLASSES.STALE_NOTICE}`,
+    );
+    if (!notice) return;
+
+    const count = pins.filter(({ staleAt }) => staleAt !== null).length;
+    notice.hidden = count === 0;
+    notice.firstElementChild.textContent = CONFIG.UI.STALE_PINS_FOUND.replace(
+      "%s",
+      count,
+    );
+  }
+
+  /**
+   * Creates the area listing recently expired pins, hidden while it is empty
+   * @returns {HTMLDetailsElement} The created area
+   * @private
+   */
+  createExpiredArea() {
+    const area = DOMUtils.createElement("details");
+    area.className = CONFIG.CLASSES.EXPIRED_AREA;
+    area.hidden = true;
+    area.append(
+      DOMUtils.createElement("summary"),
+      DOMUtils.createElement("ol"),
+    );
+    return area;
+  }
+
+  /**
+   * Lists the recently expired pins, each with a button to restore it
+   * @private
+   */
+  renderExpiredArea() {
+    const area = this.chatContainer.querySelector(
+      `.${CONFIG.CLASSES.EXPIRED_AREA}`,
+    );
+    if (!area) return;
+
+    const expired = this.storageManager.getExpiredConversations();
+    area.hidden = expired.length === 0;
+    area.querySelector("summary").textContent =
+      CONFIG.UI.RECENTLY_EXPIRED.replace("%s", expired.length);
+    area.querySelector("ol").replaceChildren(
+      ...expired.map((pin) => {
+        const item = DOMUtils.createElement("li");
+        item.className = CONFIG.CLASSES.EXPIRED_ITEM;
+        item.setAttribute("data-expired-id", pin.id);
+
+        const name = DOMUtils.createElement("span");
+        name.textContent = StorageSchema.getDisplayTitle(pin);
+        name.setAttribute(
+          "title",
+          CONFIG.UI.EXPIRED_PIN_PURGED_AT.replace(
+            "%s",
+            this.formatDate(pin.expiredAt + CONFIG.EXPIRY.GRACE_PERIOD),
+          ),
+        );
+
+        const restoreButton = DOMUtils.createElement("button");
+        restoreButton.type = "button";
+        restoreButton.textContent = CONFIG.UI.RESTORE_PIN;
+        restoreButton.addEventListener("click", () =>
+          this.handleRestoreExpiredPin(pin.id),
+        );
+
+        item.append(name, restoreButton);
+        return item;
+      }),
+    );
+  }
+
+  /**
+   * Pins an expired conversation again
+   * @param {string} conversationId - The expired conversation
+   * @private
+   */
+  async handleRestoreExpiredPin(conversationId) {
+    try {
+      await this.storageManager.restoreExpiredConversation(conversationId);
+      this.loadPinnedConversations();
+    } catch (error) {
+      console.error("Failed to restore pin:", error);
+    }
+  }
+
+  /**
+   * Handles the pin conversation event
+   * @param {{conversationId: string, title: string, route?: Object|null, expiresAt?: number|null, editExpiry?: boolean}} detail - Event data; editExpiry asks for the number of days the new pin is kept
+   * @private
+   */
+  handlePinConversation = async (detail) => {
+    try {
+      if (
+        await this.storageManager.pinConversation(
+          detail.conversationId,
+          detail.title,
+          {
+            route: detail.route,
+            position: this.settings.newPinPosition,
+            expiresAt: detail.expiresAt ?? null,
+          },
+        )
+      ) {
+        Logger.debug("Pinned conversation", detail.conversationId);
+        this.addPinnedConversationToUI({
+          ...detail,
+          position: this.settings.newPinPosition,
+        });
+        this.applyPinnedListFilter();
+        if (this.getCurrentConversationId() === detail.conversationId) {
+          this.conversationChanged(detail.conversationId);
+        }
+        this.announce(CONFIG.UI.ANNOUNCE_PINNED.replace("%s", detail.title));
+        if (detail.editExpiry) {
+          this.startExpiryEdit(detail.conversationId);
+        }
+      }
+    } catch (error) {
+      console.error("Failed to pin conversation:", error);
+      this.announce(CONFIG.UI.ANNOUNCE_PIN_FAILED.replace("%s", detail.title));
+    }
+  };
+
+  /**
+   * Handles the unpin conversation event
+   * @param {{conversationId: string}} detail - Event data
+   * @private
+   */
+  handleUnpinConversation = async (detail) => {
+    const pin = this.storageManager
+      .getPinnedConversations()
+      .find(({ id }) => id === detail.conversationId);
+    const name = pin
+      ? StorageSchema.getDisplayTitle(pin)
+      : (detail.title ?? detail.conversationId);
+    try {
+      if (await this.storageManager.unpinConversation(detail.conversationId)) {
+        this.removePinnedConversationFromUI(detail.conversationId);
+        this.applyPinnedListFilter();
+        if (this.getCurrentConversationId() === detail.conversationId) {
+          this.conversationChanged(detail.conversationId);
+        }
+        this.announce(CONFIG.UI.ANNOUNCE_UNPINNED.replace("%s", name));
+      }
+    } catch (error) {
+      console.error("Failed to unpin conversation:", error);
+      this.announce(CONFIG.UI.ANNOUNCE_UNPIN_FAILED.replace("%s", name));
+    }
+  };
+
+  /**
+   * Adds the live region that tells screen reader users about pin changes
+   * It lives on <body>, since the pinned section is re-created on re-mounts
+   * and hidden while collapsed
+   * @private
+   */
+  createLiveRegion() {
+    this.liveRegion?.remove();
+    this.liveRegion = DOMUtils.createElement("div");
+    this.liveRegion.className = CONFIG.CLASSES.LIVE_REGION;
+    this.liveRegion.setAttribute("role", "status");
+    this.liveRegion.setAttribute("aria-live", "polite");
+    I18n.applyLanguage(this.liveRegion);
+    document.body.appendChild(this.liveRegion);
+  }
+
+  /**
+   * Has screen readers read out a message
+   * The region is emptied first and filled after a short delay, so the same
+   * message is read again when it repeats
+   * @param {string} message - The message
+   * @private
+   */
+  announce(message) {
+    const liveRegion = this.liveRegion;
+    if (!liveRegion) return;
+
+    liveRegion.textContent = "";
+    setTimeout(() => {
+      liveRegion.textContent = message;
+    }, CONFIG.TIMEOUTS.ANNOUNCEMENT);
+  }
+
+  /**
+   * Handles a pinned item being moved by drag and drop or keyboard
+   * Persists the order currently shown in the pinned list
+   * @private
+   */
+  handlePinnedListReorder = async () => {
+    try {
+      const layout = Array.from(
+        this.getPinnedList().querySelectorAll(CONFIG.SELECTORS.PINNED_ITEM),
+        (item) => ({
+          conversationId: item.getAttribute("data-conversation-id"),
+          folderId:
+            item
+              .closest(CONFIG.SELECTORS.PINNED_FOLDER)
+              ?.getAttribute("data-folder-id") ?? null,
+        }),
+      );
+      await this.storageManager.reorderConversations(layout);
+    } catch (error) {
+      console.error("Failed to reorder pinned conversations:", error);
+    }
+  };
+
+  /**
+   * Finds the list a dragged pin should be dropped into when it is not over another pin
+   * @param {Element} element - The element under the pointer
+   * @returns {Element|null} A folder's list, the pinned list, or null
+   * @private
+   */
+  getDropContainer = (element) => {
+    const folder = element.closest(CONFIG.SELECTORS.PINNED_FOLDER);
+    if (folder) {
+      return folder.querySelector(CONFIG.SELECTORS.FOLDER_LIST);
+    }
+    const pinnedList = this.getPinnedList();
+    return element === pinnedList ? pinnedList : null;
+  };
+
+  /**
+   * Gets the element rendering a folder
+   * @param {string} folderId - The folder ID
+   * @returns {Element|null} The folder element
+   * @private
+   */
+  getFolderElement(folderId) {
+    return this.getPinnedList().querySelector(
+      `li[data-folder-id="${folderId}"]`,
+    );
+  }
+
+  /**
+   * Gets the list that holds the pins of a folder
+   * @param {string|null} folderId - The folder ID, or null for pins outside folders
+   * @returns {Element} The folder's list, or the pinned list
+   * @private
+   */
+  getFolderList(folderId) {
+    const folderElement =
+      folderId === null ? null : this.getFolderElement(folderId);
+    return (
+      folderElement?.querySelector(CONFIG.SELECTORS.FOLDER_LIST) ??
+      this.getPinnedList()
+    );
+  }
+
+  /**
+   * Creates a small icon button for section and folder headers
+   * @param {Object} config - Button configuration
+   * @param {string} config.label - Accessible name and tooltip
+   * @param {string} config.innerHTML - Button icon
+   * @param {Function} config.onClick - Click handler
+   * @returns {HTMLButtonElement} The created button
+   * @private
+   */
+  createIconButton({ label, innerHTML, onClick }) {
+    return DOMUtils.createButton({
+      className: CONFIG.CLASSES.ICON_BUTTON,
+      label,
+      innerHTML,
+      onClick: (e) => {
+        e.stopPropagation();
+        e.preventDefault();
+        onClick(e);
+      },
+    });
+  }
+
+  /**
+   * Adds a folder to the pinned list
+   * Folders are kept above the pins that are not in a folder
+   * @param {Object} folder - The folder record
+   * @private
+   */
+  addFolderToUI(folder) {
+    const pinnedList = this.getPinnedList();
+    const folderElement = DOMUtils.createFolder({
+      id: folder.id,
+      name: folder.name,
+      collapsed: folder.collapsed,
+      toggleIcon: CHEVRON_ICON_SVG,
+      actions: [
+        this.createIconButton({
+          label: CONFIG.UI.RENAME_FOLDER,
+          innerHTML: EDIT_ICON_SVG,
+          onClick: () => this.startFolderRename(folder.id),
+        }),
+        this.createIconButton({
+          label: CONFIG.UI.DELETE_FOLDER,
+          innerHTML: DELETE_ICON_SVG,
+          onClick: () => this.handleDeleteFolder(folder.id),
+        }),
+      ],
+      onToggle: () => this.handleFolderToggle(folder.id),
+    });
+    pinnedList.insertBefore(
+      folderElement,
+      pinnedList.querySelector(`:scope > ${CONFIG.SELECTORS.PINNED_ITEM}`),
+    );
+    return folderElement;
+  }
+
+  /**
+   * Creates a folder and lets the user name it right away
+   * @private
+   */
+  handleCreateFolder = async () => {
+    try {
+      const folder = await this.storageManager.createFolder(
+        CONFIG.UI.NEW_FOLDER_NAME,
+      );
+      this.addFolderToUI(folder);
+      this.startFolderRename(folder.id);
+    } catch (error) {
+      console.error("Failed to create folder:", error);
+    }
+  };
+
+  /**
+   * Replaces a folder's name with an input to rename it
+   * @param {string} folderId - The folder ID
+   * @private
+   */
+  startFolderRename(folderId) {
+    const folderElement = this.getFolderElement(folderId);
+    const nameElement = folderElement?.querySelector(
+      `.${CONFIG.CLASSES.FOLDER_NAME}`,
+    );
+    if (!nameElement) return;
+
+    const currentName = nameElement.textContent;
+    const input = DOMUtils.createInlineInput({
+      value: currentName,
+      maxLength: CONFIG.UI.FOLDER_NAME_MAX_LENGTH,
+      onSubmit: async (name) => {
+        try {
+          if (name.trim() && name.trim() !== currentName) {
+            await this.storageManager.renameFolder(folderId, name);
+          }
+        } catch (error) {
+          console.error("Failed to rename folder:", error);
+        }
+        this.loadPinnedConversations();
+      },
+      onCancel: () => this.loadPinnedConversations(),
+    });
+    nameElement.replaceChildren(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Deletes a folder after confirmation, keeping its pins
+   * @param {string} folderId - The folder ID
+   * @private
+   */
+  async handleDeleteFolder(folderId) {
+    const folder = this.storageManager
+      .getFolders()
+      .find(({ id }) => id === folderId);
+    if (
+      !folder ||
+      !confirm(CONFIG.UI.DELETE_FOLDER_CONFIRM.replace("%s", folder.name))
+    ) {
+      return;
+    }
+
+    try {
+      await this.storageManager.deleteFolder(folderId);
+      this.loadPinnedConversations();
+    } catch (error) {
+      console.error("Failed to delete folder:", error);
+    }
+  }
+
+  /**
+   * Collapses or expands a folder and remembers the state
+   * @param {string} folderId - The folder ID
+   * @private
+   */
+  async handleFolderToggle(folderId) {
+    const folderElement = this.getFolderElement(folderId);
+    if (!folderElement) return;
+
+    const collapsed = folderElement.classList.toggle(
+      CONFIG.CLASSES.FOLDER_COLLAPSED,
+    );
+    folderElement
+      .querySelector(`.${CONFIG.CLASSES.FOLDER_TOGGLE}`)
+      .setAttribute("aria-expanded", String(!collapsed));
+    this.applyPinnedListFilter();
+    try {
+      await this.storageManager.setFolderCollapsed(folderId, collapsed);
+    } catch (error) {
+      console.error("Failed to update folder:", error);
+    }
+  }
+
+  /**
+   * Opens the context menu for a pinned conversation
+   * @param {MouseEvent} e - The contextmenu event
+   * @private
+   */
+  handlePinnedContextMenu = (e) => {
+    const item = e.target.closest(CONFIG.SELECTORS.PINNED_ITEM);
+    if (!item) return;
+
+    e.preventDefault();
+    this.contextMenu.open({
+      x: e.clientX,
+      y: e.clientY,
+      items: this.getPinnedItemMenuEntries(
+        item.getAttribute("data-conversation-id"),
+      ),
+    });
+  };
+
+  /**
+   * Builds the context menu entries for a pinned conversation
+   * @param {string} conversationId - The conversation ID
+   * @returns {Object[]} The menu entries
+   * @private
+   */
+  getPinnedItemMenuEntries(conversationId) {
+    const pin = this.storageManager
+      .getPinnedConversations()
+      .find(({ id }) => id === conversationId);
+    if (!pin) return [];
+
+    const moveTo = (folderId) => async () => {
+      try {
+        await this.storageManager.moveConversationToFolder(
+          conversationId,
+          folderId,
+        );
+        this.loadPinnedConversations();
+      } catch (error) {
+        console.error("Failed to move pinned conversation:", error);
+      }
+    };
+
+    const entries = [
+      {
+        label: CONFIG.UI.RENAME_PIN,
+        onSelect: () => this.startPinEdit(conversationId, "alias"),
+      },
+      {
+        label: CONFIG.UI.EDIT_NOTE,
+        onSelect: () => this.startPinEdit(conversationId, "note"),
+      },
+    ];
+    if (pin.alias) {
+      entries.push({
+        label: CONFIG.UI.RESET_PIN_NAME,
+        onSelect: () => this.savePinDetails(conversationId, { alias: null }),
+      });
+    }
+
+    entries.push(
+      { separator: true },
+      {
+        label: CONFIG.UI.REMIND_IN_DAY,
+        onSelect: () =>
+          this.setPinReminder(
+            conversationId,
+            Date.now() + CONFIG.REMINDERS.DAY,
+          ),
+      },
+      {
+        label: CONFIG.UI.REMIND_IN_WEEK,
+        onSelect: () =>
+          this.setPinReminder(
+            conversationId,
+            Date.now() + CONFIG.REMINDERS.WEEK,
+          ),
+      },
+      {
+        label: CONFIG.UI.REMIND_ON_DATE,
+        onSelect: () => this.startReminderEdit(conversationId),
+      },
+    );
+    if (pin.reminder) {
+      entries.push({
+        label: CONFIG.UI.CLEAR_REMINDER,
+        onSelect: () => this.setPinReminder(conversationId, null),
+      });
+    }
+
+    entries.push(
+      { separator: true },
+      {
+        label: CONFIG.UI.EXPIRE_END_OF_DAY,
+        onSelect: () => this.setPinExpiry(conversationId, this.getEndOfDay()),
+      },
+      ...CONFIG.EXPIRY.DAY_OPTIONS.map((days) => ({
+        label: CONFIG.UI.EXPIRE_IN_DAYS.replace("%s", days),
+        onSelect: () =>
+          this.setPinExpiry(
+            conversationId,
+            Date.now() + days * CONFIG.EXPIRY.DAY,
+          ),
+      })),
+      {
+        label: CONFIG.UI.EXPIRE_IN_CUSTOM_DAYS,
+        onSelect: () => this.startExpiryEdit(conversationId),
+      },
+    );
+    if (pin.expiresAt !== null) {
+      entries.push({
+        label: CONFIG.UI.NEVER_EXPIRE,
+        onSelect: () => this.setPinExpiry(conversationId, null),
+      });
+    }
+
+    entries.push({ separator: true });
+    this.storageManager.getTags().forEach((tag) => {
+      const hasTag = pin.tagIds.includes(tag.id);
+      entries.push({
+        label: tag.name,
+        color: tag.color,
+        checked: hasTag,
+        onSelect: () => this.setPinTag(conversationId, tag.id, !hasTag),
+      });
+    });
+    entries.push({
+      label: CONFIG.UI.NEW_TAG,
+      onSelect: () => this.startTagCreate(conversationId),
+    });
+
+    const folders = this.storageManager.getFolders();
+    if (folders.length > 0 || pin.folderId !== null) {
+      entries.push({ separator: true });
+    }
+    folders.forEach((folder) => {
+      entries.push({
+        label: CONFIG.UI.MOVE_TO_FOLDER.replace("%s", folder.name),
+        disabled: pin.folderId === folder.id,
+        onSelect: moveTo(folder.id),
+      });
+    });
+    if (pin.folderId !== null) {
+      entries.push({
+        label: CONFIG.UI.REMOVE_FROM_FOLDER,
+        onSelect: moveTo(null),
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Gets the tag bar element
+   * @returns {Element} The tag bar
+   * @private
+   */
+  getTagBar() {
+    return this.chatContainer.querySelector(`.${CONFIG.CLASSES.TAG_BAR}`);
+  }
+
+  /**
+   * Renders the tag chips used to filter the pinned list
+   * The bar stays hidden until at least one tag exists
+   * @private
+   */
+  renderTagBar() {
+    const tagBar = this.getTagBar();
+    const tags = this.storageManager.getTags();
+    const tagIds = new Set(tags.map(({ id }) => id));
+    this.tagFilter.tagIds = new Set(
+      [...this.tagFilter.tagIds].filter((tagId) => tagIds.has(tagId)),
+    );
+
+    tagBar.replaceChildren();
+    tagBar.hidden = tags.length === 0;
+    if (tags.length === 0) return;
+
+    const matchAll = this.tagFilter.mode === CONFIG.TAG_MATCH_MODES.ALL;
+    tagBar.appendChild(
+      DOMUtils.createTagChip({
+        label: matchAll ? CONFIG.UI.TAG_MATCH_ALL : CONFIG.UI.TAG_MATCH_ANY,
+        onClick: this.handleTagMatchModeToggle,
+      }),
+    );
+    tags.forEach((tag) => {
+      tagBar.appendChild(
+        DOMUtils.createTagChip({
+          label: tag.name,
+          color: tag.color,
+          pressed: this.tagFilter.tagIds.has(tag.id),
+          attributes: { "data-tag-id": tag.id },
+          onClick: () => this.handleTagFilterToggle(tag.id),
+          onContextMenu: (e) => this.handleTagContextMenu(e, tag),
+        }),
+      );
+    });
+    tagBar.appendChild(
+      DOMUtils.createTagChip({
+        label: "+",
+        attributes: {
+          "aria-label": CONFIG.UI.NEW_TAG,
+          title: CONFIG.UI.NEW_TAG,
+        },
+        onClick: () => this.startTagCreate(),
+      }),
+    );
+  }
+
+  /**
+   * Creates a chip holding an input to name a tag
+   * @param {Object} config - Input configuration, see DOMUtils.createInlineInput
+   * @returns {{chip: Element, input: HTMLInputElement}} The chip and its input
+   * @private
+   */
+  createTagEditor(config) {
+    const chip = DOMUtils.createElement("span");
+    chip.className = CONFIG.CLASSES.TAG_CHIP;
+    const input = DOMUtils.createInlineInput({
+      placeholder: CONFIG.UI.NEW_TAG_PLACEHOLDER,
+      maxLength: CONFIG.UI.TAG_NAME_MAX_LENGTH,
+      ...config,
+    });
+    chip.appendChild(input);
+    return { chip, input };
+  }
+
+  /**
+   * Shows an input in the tag bar to create a tag
+   * @param {string|null} [conversationId] - A pin to put the new tag on
+   * @private
+   */
+  startTagCreate(conversationId = null) {
+    const tagBar = this.getTagBar();
+    const { chip, input } = this.createTagEditor({
+      onSubmit: async (name) => {
+        try {
+          if (name.trim()) {
+            const tag = await this.storageManager.createTag(name);
+            if (conversationId) {
+              await this.storageManager.setConversationTag(
+                conversationId,
+                tag.id,
+                true,
+              );
+            }
+          }
+        } catch (error) {
+          console.error("Failed to create tag:", error);
+        }
+        this.loadPinnedConversations();
+      },
+      onCancel: () => this.renderTagBar(),
+    });
+
+    tagBar.hidden = false;
+    tagBar.appendChild(chip);
+    input.focus();
+  }
+
+  /**
+   * Replaces a tag chip with an input to rename the tag
+   * @param {Object} tag - The tag record
+   * @private
+   */
+  startTagRename(tag) {
+    const tagChip = this.getTagBar().querySelector(`[data-tag-id="${tag.id}"]`);
+    if (!tagChip) return;
+
+    const { chip, input } = this.createTagEditor({
+      value: tag.name,
+      onSubmit: async (name) => {
+        try {
+          if (name.trim() && name.trim() !== tag.name) {
+            await this.storageManager.renameTag(tag.id, name);
+          }
+        } catch (error) {
+          console.error("Failed to rename tag:", error);
+        }
+        this.loadPinnedConversations();
+      },
+      onCancel: () => this.renderTagBar(),
+    });
+
+    tagChip.replaceWith(chip);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Opens the context menu for a tag chip
+   * @param {MouseEvent} e - The contextmenu event
+   * @param {Object} tag - The tag record
+   * @private
+   */
+  handleTagContextMenu(e, tag) {
+    e.preventDefault();
+    this.contextMenu.open({
+      x: e.clientX,
+      y: e.clientY,
+      items: [
+        {
+          label: CONFIG.UI.RENAME_TAG,
+          onSelect: () => this.startTagRename(tag),
+        },
+        { separator: true },
+        ...CONFIG.UI.TAG_COLORS.map((color) => ({
+          label: CONFIG.UI.TAG_COLOR.replace(
+            "%s",
+            CONFIG.UI.TAG_COLOR_NAMES[color],
+          ),
+          color,
+          checked: tag.color === color,
+          onSelect: () =>
+            this.updateTag(() =>
+              this.storageManager.setTagColor(tag.id, color),
+            ),
+        })),
+        { separator: true },
+        {
+          label: CONFIG.UI.DELETE_TAG,
+          onSelect: () => {
+            if (confirm(CONFIG.UI.DELETE_TAG_CONFIRM.replace("%s", tag.name))) {
+              this.updateTag(() => this.storageManager.deleteTag(tag.id));
+            }
+          },
+        },
+      ],
+    });
+  }
+
+  /**
+   * Runs a tag change and re-renders everything that shows tags
+   * @param {Function} change - Async function performing the change
+   * @private
+   */
+  async updateTag(change) {
+    try {
+      await change();
+    } catch (error) {
+      console.error("Failed to update tag:", error);
+    }
+    this.loadPinnedConversations();
+  }
+
+  /**
+   * Selects or deselects a tag in the filter
+   * @param {string} tagId - The tag ID
+   * @private
+   */
+  handleTagFilterToggle(tagId) {
+    const { tagIds } = this.tagFilter;
+    if (!tagIds.delete(tagId)) {
+      tagIds.add(tagId);
+    }
+    this.renderTagBar();
+    this.applyPinnedListFilter();
+  }
+
+  /**
+   * Switches the filter between matching any and all selected tags
+   * @private
+   */
+  handleTagMatchModeToggle = () => {
+    this.tagFilter.mode =
+      this.tagFilter.mode === CONFIG.TAG_MATCH_MODES.ANY
+        ? CONFIG.TAG_MATCH_MODES.ALL
+        : CONFIG.TAG_MATCH_MODES.ANY;
+    this.renderTagBar();
+    this.applyPinnedListFilter();
+  };
+
+  /**
+   * Checks whether a pin matches the selected tags
+   * @param {{tagIds: string[]}} pin - The pin record
+   * @returns {boolean} True if the pin should be shown
+   * @private
+   */
+  matchesTagFilter(pin) {
+    const { tagIds, mode } = this.tagFilter;
+    if (tagIds.size === 0) return true;
+
+    const selected = [...tagIds];
+    return mode === CONFIG.TAG_MATCH_MODES.ALL
+      ? selected.every((tagId) => pin.tagIds.includes(tagId))
+      : selected.some((tagId) => pin.tagIds.includes(tagId));
+  }
+
+  /**
+   * Handles typing in the search input
+   * @param {string} query - The current search query
+   * @private
+   */
+  handleSearch = (query) => {
+    this.searchQuery = query.trim();
+    this.applyPinnedListFilter();
+  };
+
+  /**
+   * Matches a pin against the search query
+   * The name is searched first so its matched characters can be highlighted,
+   * then the original title and the note
+   * @param {Object} pin - The pin record
+   * @returns {number[]|null} Indices to highlight in the shown name, or null if the pin does not match
+   * @private
+   */
+  matchSearch(pin) {
+    return FuzzyMatcher.matchFields(this.searchQuery, [
+      StorageSchema.getDisplayTitle(pin),
+      pin.title,
+      pin.note,
+    ]);
+  }
+
+  /**
+   * Hides the pins, and the folders left empty, that do not match the
+   * selected tags or the search query, and highlights search matches
+   * @private
+   */
+  applyPinnedListFilter() {
+    const pinnedList = this.getPinnedList();
+    const pins = new Map(
+      this.storageManager.getPinnedConversations().map((pin) => [pin.id, pin]),
+    );
+
+    pinnedList
+      .querySelectorAll(CONFIG.SELECTORS.PINNED_ITEM)
+      .forEach((item) => {
+        const pin = pins.get(item.getAttribute("data-conversation-id"));
+        const highlight = pin ? this.matchSearch(pin) : null;
+        item.hidden = !highlight || !this.matchesTagFilter(pin);
+        if (pin && !item.querySelector(`.${CONFIG.CLASSES.INLINE_INPUT}`)) {
+          this.renderPinnedItemText(item, pin, highlight ?? []);
+        }
+      });
+
+    this.renderStaleNotice([...pins.values()]);
+
+    const isFiltered = this.tagFilter.tagIds.size > 0 || !!this.searchQuery;
+    pinnedList.classList.toggle(CONFIG.CLASSES.SEARCHING, !!this.searchQuery);
+    pinnedList
+      .querySelectorAll(CONFIG.SELECTORS.PINNED_FOLDER)
+      .forEach((folder) => {
+        folder.hidden =
+          isFiltered &&
+          !folder.querySelector(
+            `${CONFIG.SELECTORS.PINNED_ITEM}:not([hidden])`,
+          );
+      });
+
+    this.renderSectionCount(pins.size);
+    this.applyOverflowLimit(isFiltered);
+  }
+
+  /**
+   * Puts a tag on a pin or takes it off
+   * @param {string} conversationId - The conversation ID
+   * @param {string} tagId - The tag ID
+   * @param {boolean} enabled - Whether the pin should have the tag
+   * @private
+   */
+  async setPinTag(conversationId, tagId, enabled) {
+    try {
+      await this.storageManager.setConversationTag(
+        conversationId,
+        tagId,
+        enabled,
+      );
+    } catch (error) {
+      console.error("Failed to update tags:", error);
+    }
+
+    const pin = this.storageManager
+      .getPinnedConversations()
+      .find(({ id }) => id === conversationId);
+    const conversationItem = this.getPinnedItem(conversationId);
+    if (pin && conversationItem) {
+      this.renderPinnedItemTags(conversationItem, pin.tagIds);
+    }
+    this.applyPinnedListFilter();
+  }
+
+  /**
+   * Shows the colour dots of a pin's tags in its list item
+   * @param {Element} conversationItem - The pinned item
+   * @param {string[]} tagIds - The pin's tags
+   * @private
+   */
+  renderPinnedItemTags(conversationItem, tagIds) {
+    conversationItem.querySelector(`.${CONFIG.CLASSES.TAG_DOTS}`)?.remove();
+    const tags = this.storageManager
+      .getTags()
+      .filter(({ id }) => tagIds.includes(id));
+    if (tags.length > 0) {
+      conversationItem
+        .querySelector("a")
+        .appendChild(DOMUtils.createTagDots(tags));
+    }
+  }
+
+  /**
+   * Gets the list item rendering a pinned conversation
+   * @param {string} conversationId - The conversation ID
+   * @returns {Element|null} The pinned item
+   * @private
+   */
+  getPinnedItem(conversationId) {
+    return this.getPinnedList().querySelector(
+      `li[data-conversation-id="${conversationId}"]`,
+    );
+  }
+
+  /**
+   * Replaces a pin's name with an input to edit its alias or note
+   * @param {string} conversationId - The conversation ID
+   * @param {"alias"|"note"} field - The field to edit
+   * @private
+   */
+  startPinEdit(conversationId, field) {
+    const pin = this.storageManager
+      .getPinnedConversations()
+      .find(({ id }) => id === conversationId);
+    const conversationItem = this.getPinnedItem(conversationId);
+    const conversationText = conversationItem?.querySelector("div[title]");
+    if (!pin || !conversationText) return;
+
+    const isAlias = field === "alias";
+    const input = DOMUtils.createInlineInput({
+      value: (isAlias ? StorageSchema.getDisplayTitle(pin) : pin.note) ?? "",
+      placeholder: isAlias ? pin.title : CONFIG.UI.NOTE_PLACEHOLDER,
+      maxLength: isAlias
+        ? CONFIG.UI.ALIAS_MAX_LENGTH
+        : CONFIG.UI.NOTE_MAX_LENGTH,
+      onSubmit: (value) => {
+        const unchanged = isAlias
+          ? value.trim() === StorageSchema.getDisplayTitle(pin)
+          : value.trim() === (pin.note ?? "");
+        if (unchanged) {
+          this.renderPinnedItemText(conversationItem, pin);
+          return;
+        }
+        // Typing the original title back clears the alias
+        const alias = value.trim() === pin.title ? null : value;
+        this.savePinDetails(
+          conversationId,
+          isAlias ? { alias } : { note: value },
+        );
+      },
+      onCancel: () => this.renderPinnedItemText(conversationItem, pin),
+    });
+
+    conversationItem.setAttribute("draggable", "false");
+    conversationText.replaceChildren(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Replaces a pin's name with a date and time input for a custom reminder
+   * @param {string} conversationId - The conversation ID
+   * @private
+   */
+  startReminderEdit(conversationId) {
+    const pin = this.storageManager
+      .getPinnedConversations()
+      .find(({ id }) => id === conversationId);
+    const conversationItem = this.getPinnedItem(conversationId);
+    const conversationText = conversationItem?.querySelector("div[title]");
+    if (!pin || !conversationText) return;
+
+    const input = DOMUtils.createInlineInput({
+      type: "datetime-local",
+      onSubmit: (value) => {
+        const remindAt = new Date(value).getTime();
+        if (!value || !Number.isFinite(remindAt)) {
+          this.renderPinnedItemText(conversationItem, pin);
+          return;
+        }
+        this.setPinReminder(conversationId, remindAt);
+      },
+      onCancel: () => this.renderPinnedItemText(conversationItem, pin),
+    });
+    // datetime-local values are local times without seconds
+    const now = new Date();
+    now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+    input.min = now.toISOString().slice(0, 16);
+
+    conversationItem.setAttribute("draggable", "false");
+    conversationText.replaceChildren(input);
+    input.focus();
+  }
+
+  /**
+   * Replaces a pin's name with an input for the number of days it is kept
+   * @param {string} conversationId - The conversation ID
+   * @private
+   */
+  startExpiryEdit(conversationId) {
+    const pin = this.storageManager
+      .getPinnedConversations()
+      .find(({ id }) => id === conversationId);
+    const conversationItem = this.getPinnedItem(conversationId);
+    const conversationText = conversationItem?.querySelector("div[title]");
+    if (!pin || !conversationText) return;
+
+    const input = DOMUtils.createInlineInput({
+      type: "number",
+      placeholder: CONFIG.UI.EXPIRE_DAYS_PLACEHOLDER,
+      onSubmit: (value) => {
+        const days = Number(value);
+        if (
+          !Number.isInteger(days) ||
+          days < 1 ||
+          days > CONFIG.EXPIRY.MAX_DAYS
+        ) {
+          this.renderPinnedItemText(conversationItem, pin);
+          return;
+        }
+        this.setPinExpiry(
+          conversationId,
+          Date.now() + days * CONFIG.EXPIRY.DAY,
+        );
+      },
+      onCancel: () => this.renderPinnedItemText(conversationItem, pin),
+    });
+    input.min = "1";
+    input.max = String(CONFIG.EXPIRY.MAX_DAYS);
+
+    conversationItem.setAttribute("draggable", "false");
+    conversationText.replaceChildren(input);
+    input.focus();
+  }
+
+  /**
+   * Stores when a pin expires and refreshes the list
+   * The background worker moves the pin to the recently expired area
+   * @param {string} conversationId - The conversation ID
+   * @param {number|null} expiresAt - When the pin expires, or null to keep it
+   * @private
+   */
+  async setPinExpiry(conversationId, expiresAt) {
+    try {
+      await this.storageManager.setExpiry(conversationId, expiresAt);
+    } catch (error) {
+      console.error("Failed to set expiry:", error);
+    }
+
+    this.finishPinEdit(conversationId);
+  }
+
+  /**
+   * Gets the last moment of the current day
+   * @returns {number} The end of today, in local time
    * @private
    */
-  async init() {
+  getEndOfDay() {
+    const endOfDay = new Date();
+    endOfDay.setHours(23, 59, 59, 999);
+    return endOfDay.getTime();
+  }
+
+  /**
+   * Formats a time for tooltips
+   * @param {number} time - The time to format
+   * @returns {string} The localized date and time
+   * @private
+   */
+  formatDate(time) {
+    return new Date(time).toLocaleString(I18n.getLanguage(), {
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+  }
+
+  /**
+   * Stores when to remind the user of a pin and refreshes the list
+   * The background worker schedules the notification from storage
+   * @param {string} conversationId - The conversation ID
+   * @param {number|null} remindAt - When to remind, or null to clear the reminder
+   * @private
+   */
+  async setPinReminder(conversationId, remindAt) {
     try {
-      await this.waitForChatContainer();
-      await DOMUtils.createAndAppendPinButtonStyles();
-      await this.createPinnedSection();
-      this.setupEventListeners();
-      this.setUpURLTracker();
-      this.loadPinnedConversations();
+      await this.storageManager.setReminder(conversationId, remindAt);
     } catch (error) {
-      console.error("Failed to initialize ChatHistoryUI:", error);
+      console.error("Failed to set reminder:", error);
     }
+
+    this.finishPinEdit(conversationId);
   }
 
   /**
-   * Waits for the chat container to be available
+   * Stores a pin's alias or note and refreshes the list
+   * @param {string} conversationId - The conversation ID
+   * @param {Object} details - The fields to update
    * @private
    */
-  async waitForChatContainer() {
+  async savePinDetails(conversationId, details) {
     try {
-      this.chatContainer = await DOMUtils.waitForElement(
-        CONFIG.SELECTORS.CHAT_CONTAINER,
-      );
-      this.templateHistoryItem = await DOMUtils.waitForElement(
-        CONFIG.SELECTORS.HISTORY_ITEM,
-      );
-      this.templateHistoryItem.firstElementChild.style = null;
-      this.templateHistoryItem = DOMUtils.cloneElement(
-        this.templateHistoryItem,
+      await this.storageManager.updateConversationDetails(
+        conversationId,
+        details,
       );
     } catch (error) {
-      throw new DOMError("Failed to find required chat elements", {
-        originalError: error,
-      });
+      console.error("Failed to update pinned conversation:", error);
     }
+
+    this.finishPinEdit(conversationId);
   }
 
   /**
-   * Sets up event listeners for chat container interactions
+   * Replaces an in-place input with the pin's name again and refreshes the list
+   * applyPinnedListFilter() leaves items being edited alone, so the edited
+   * item is rendered first
+   * @param {string} conversationId - The conversation ID
    * @private
    */
-  setupEventListeners() {
-    this.chatContainer.addEventListener(
-      "mouseover",
-      this.handleConversationHover,
-    );
+  finishPinEdit(conversationId) {
+    const pin = this.storageManager
+      .getPinnedConversations()
+      .find(({ id }) => id === conversationId);
+    const conversationItem = this.getPinnedItem(conversationId);
+    if (pin && conversationItem) {
+      this.renderPinnedItemText(conversationItem, pin);
+    }
+    this.applyPinnedListFilter();
+  }
 
-    // Use EventManager for custom events
-    this.eventManager.on(
-      EVENT_TYPES.PIN_CONVERSATION,
-      this.handlePinConversation,
+  /**
+   * Shows a pin's name and note in its list item
+   * @param {Element} conversationItem - The pinned item
+   * @param {Object} pin - The pin record
+   * @param {number[]} [highlight] - Indices of name characters matching the search
+   * @private
+   */
+  renderPinnedItemText(conversationItem, pin, highlight = []) {
+    const conversationText = conversationItem.querySelector("div[title]");
+    const displayTitle = StorageSchema.getDisplayTitle(pin);
+    const isStale = !!pin.staleAt;
+    const isReminderDue = StorageSchema.isReminderDue(pin);
+    conversationText.replaceChildren(
+      DOMUtils.createHighlightedText(displayTitle, highlight),
     );
-    this.eventManager.on(
-      EVENT_TYPES.UNPIN_CONVERSATION,
-      this.handleUnpinConversation,
+    conversationText.setAttribute(
+      "title",
+      [
+        displayTitle,
+        pin.note,
+        isStale && CONFIG.UI.STALE_PIN,
+        this.getReminderText(pin),
+        pin.expiresAt &&
+          CONFIG.UI.EXPIRES_AT.replace("%s", this.formatDate(pin.expiresAt)),
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    );
+    const unpinButton = conversationItem.querySelector(
+      `:scope > .${CONFIG.CLASSES.UNPIN_BUTTON}`,
     );
+    if (unpinButton) {
+      const label = CONFIG.UI.UNPIN_CONVERSATION.replace("%s", displayTitle);
+      unpinButton.setAttribute("aria-label", label);
+      unpinButton.setAttribute("title", label);
+    }
+    this.renderReminderBadge(conversationItem, isReminderDue);
+    conversationItem.classList.toggle(CONFIG.CLASSES.HAS_NOTE, !!pin.note);
+    conversationItem.classList.toggle(CONFIG.CLASSES.STALE_PIN, isStale);
+    conversationItem.setAttribute("draggable", "true");
   }
 
   /**
-   * Creates and appends the pinned conversations section to the sidebar
+   * Describes a pin's reminder for its tooltip
+   * @param {Object} pin - The pin record
+   * @returns {string|null} The reminder text, or null if no reminder is set
    * @private
    */
-  async createPinnedSection() {
-    let sidebarPanel = this.chatContainer.querySelector(
-      CONFIG.SELECTORS.SIDEBAR_PANEL,
+  getReminderText(pin) {
+    if (!pin.reminder) return null;
+    if (StorageSchema.isReminderDue(pin)) return CONFIG.UI.REMINDER_DUE;
+    return CONFIG.UI.REMINDER_SCHEDULED.replace(
+      "%s",
+      this.formatDate(pin.reminder.remindAt),
     );
-    if (!sidebarPanel) {
-      this.chatContainer = await DOMUtils.waitForElement(
-        CONFIG.SELECTORS.CHAT_CONTAINER,
-      );
-      sidebarPanel = await DOMUtils.waitForElement(
-        CONFIG.SELECTORS.SIDEBAR_PANEL,
-      );
-      if (!sidebarPanel) {
-        throw new DOMError("Sidebar panel not found");
-      }
-      console.log("Trying section time to create pin");
-    }
-
-    const pinnedSection = DOMUtils.createSection({
-      title: CONFIG.UI.PINNED_SECTION_TITLE,
-      id: CONFIG.SELECTORS.PINNED_LIST.slice(1),
-    });
-
-    sidebarPanel.firstElementChild.prepend(pinnedSection);
   }
 
   /**
-   * Handles the pin conversation event
-   * @param {{conversationId: string, title: string}} detail - Event data
+   * Shows or hides the badge of a pin whose reminder is due
+   * @param {Element} conversationItem - The pinned item
+   * @param {boolean} isReminderDue - Whether the pin's reminder is due
    * @private
    */
-  handlePinConversation = async (detail) => {
-    try {
-      if (
-        this.storageManager.pinConversation(detail.conversationId, detail.title)
-      ) {
-        this.addPinnedConversationToUI(detail);
-        if (this.getURL() === detail.conversationId) {
-          this.conversationChanged(detail.conversationId);
-        }
-      }
-    } catch (error) {
-      console.error("Failed to pin conversation:", error);
+  renderReminderBadge(conversationItem, isReminderDue) {
+    const conversationLink = conversationItem.querySelector("a");
+    let badge = conversationLink.querySelector(
+      `.${CONFIG.CLASSES.REMINDER_BADGE}`,
+    );
+    if (!isReminderDue) {
+      badge?.remove();
+      return;
     }
-  };
+    if (!badge) {
+      badge = DOMUtils.createElement("span");
+      badge.className = CONFIG.CLASSES.REMINDER_BADGE;
+      badge.setAttribute("title", CONFIG.UI.REMINDER_DUE);
+      badge.setAttribute("aria-label", CONFIG.UI.REMINDER_DUE);
+      conversationLink.appendChild(badge);
+    }
+  }
 
   /**
-   * Handles the unpin conversation event
-   * @param {{conversationId: string}} detail - Event data
+   * Gets the pinned conversations list element
+   * @returns {Element} The pinned list
    * @private
    */
-  handleUnpinConversation = async (detail) => {
-    try {
-      if (this.storageManager.unpinConversation(detail.conversationId)) {
-        this.removePinnedConversationFromUI(detail.conversationId);
-        if (this.getURL() === detail.conversationId) {
-          this.conversationChanged(detail.conversationId);
-        }
-      }
-    } catch (error) {
-      console.error("Failed to unpin conversation:", error);
-    }
-  };
+  getPinnedList() {
+    return this.chatContainer.querySelector(CONFIG.SELECTORS.PINNED_LIST);
+  }
 
   /**
    * Removes a pinned conversation from the UI
@@ -158,9 +2009,7 @@ class ChatHistoryUI {
    * @private
    */
   removePinnedConversationFromUI(conversationId) {
-    const pinnedList = this.chatContainer.querySelector(
-      CONFIG.SELECTORS.PINNED_LIST,
-    );
+    const pinnedList = this.getPinnedList();
     const conversationItem = pinnedList.querySelector(
       `li:has(a[chatLink="${conversationId}"])`,
     );
@@ -174,58 +2023,250 @@ class ChatHistoryUI {
    * @param {Object} data - Conversation data
    * @param {string} data.title - The conversation title
    * @param {string} data.conversationId - The conversation ID
+   * @param {string|null} [data.alias] - Name shown instead of the title (optional)
+   * @param {string|null} [data.note] - Note shown in the tooltip (optional)
    * @param {boolean} [data.isActiveConversation] - Whether this is the active conversation (optional)
+   * @param {string} [data.position] - Whether to add the item at the top or bottom of the list (optional)
+   * @param {string|null} [data.folderId] - The folder containing the conversation (optional)
+   * @param {string[]} [data.tagIds] - Tags put on the conversation (optional)
+   * @param {Object[]} [data.bookmarks] - Bookmarked messages of the conversation (optional)
+   * @returns {Element} The created item
    * @private
    */
   addPinnedConversationToUI({
     title,
     conversationId,
+    alias = null,
+    note = null,
     isActiveConversation = false,
+    position = CONFIG.PIN_POSITIONS.BOTTOM,
+    folderId = null,
+    tagIds = [],
+    bookmarks = [],
   }) {
-    const pinnedList = this.chatContainer.querySelector(
-      CONFIG.SELECTORS.PINNED_LIST,
-    );
+    const list = this.getFolderList(folderId);
     const conversationItem = DOMUtils.cloneElement(this.templateHistoryItem);
+    conversationItem.setAttribute("data-conversation-id", conversationId);
     const conversationLink = conversationItem.querySelector("a");
-    const conversationText = conversationLink.querySelector("div[title]");
     if (isActiveConversation) {
       conversationItem.firstChild.classList.add(CONFIG.CLASSES.ACTIVE);
     }
-    conversationText.setAttribute("title", title);
-    conversationText.innerHTML = title;
+    this.renderPinnedItemText(conversationItem, { title, alias, note });
 
     conversationLink.removeAttribute("href");
+    conversationLink.setAttribute("role", "link");
+    conversationLink.setAttribute("tabindex", "0");
     conversationLink.setAttribute("chatLink", conversationId);
     conversationLink.setAttribute("data-processed", "true");
     conversationLink.setAttribute("data-discover", "true");
     conversationLink.addEventListener("click", this.handleNavigation);
+    this.renderPinnedItemTags(conversationItem, tagIds);
 
     conversationItem.appendChild(
       this.createUnpinButton({
-        title,
+        conversationTitle: StorageSchema.getDisplayTitle({ title, alias }),
         conversationId,
       }),
     );
+    this.renderPinnedItemBookmarks(conversationItem, conversationId, bookmarks);
+
+    if (position === CONFIG.PIN_POSITIONS.TOP) {
+      list.insertBefore(
+        conversationItem,
+        list.querySelector(`:scope > ${CONFIG.SELECTORS.PINNED_ITEM}`),
+      );
+    } else {
+      list.appendChild(conversationItem);
+    }
+    return conversationItem;
+  }
+
+  /**
+   * Shows a pin's bookmarked messages as sub-items of its list item
+   * @param {Element} conversationItem - The pinned item
+   * @param {string} conversationId - The conversation ID
+   * @param {Object[]} bookmarks - The pin's bookmarks
+   * @private
+   */
+  renderPinnedItemBookmarks(conversationItem, conversationId, bookmarks) {
+    conversationItem
+      .querySelector(`:scope > .${CONFIG.CLASSES.BOOKMARK_LIST}`)
+      ?.remove();
+    if (bookmarks.length === 0) return;
+
+    const bookmarkList = DOMUtils.createElement("ol");
+    bookmarkList.className = CONFIG.CLASSES.BOOKMARK_LIST;
+    bookmarks.forEach(({ messageId, snippet }) => {
+      const bookmarkItem = DOMUtils.createElement("li");
+      bookmarkItem.className = CONFIG.CLASSES.BOOKMARK_ITEM;
+      bookmarkItem.setAttribute("data-bookmark-id", messageId);
+
+      const bookmarkLink = DOMUtils.createElement("a");
+      bookmarkLink.textContent = snippet || messageId;
+      bookmarkLink.setAttribute("title", snippet);
+      bookmarkLink.setAttribute("tabindex", "0");
+      bookmarkLink.setAttribute("chatLink", conversationId);
+      bookmarkLink.setAttribute("data-message-id", messageId);
+      bookmarkLink.addEventListener("click", this.handleNavigation);
+
+      bookmarkItem.append(
+        bookmarkLink,
+        this.createIconButton({
+          label: CONFIG.UI.REMOVE_BOOKMARK,
+          innerHTML: DELETE_ICON_SVG,
+          onClick: () => this.handleRemoveBookmark(conversationId, messageId),
+        }),
+      );
+      bookmarkList.appendChild(bookmarkItem);
+    });
+    conversationItem.appendChild(bookmarkList);
+  }
+
+  /**
+   * Removes a bookmark from the pinned list
+   * @param {string} conversationId - The conversation the message belongs to
+   * @param {string} messageId - ChatGPT's ID of the message
+   * @private
+   */
+  async handleRemoveBookmark(conversationId, messageId) {
+    try {
+      await this.storageManager.removeBookmark(conversationId, messageId);
+      this.loadPinnedConversations();
+    } catch (error) {
+      console.error("Failed to remove bookmark:", error);
+    }
+  }
+
+  /**
+   * Adds a bookmark button to a message of the open conversation when hovered
+   * or when something in it gets keyboard focus
+   * The button is refreshed on every hover, so it reflects bookmarks removed
+   * from the pinned list or in another tab
+   * @param {MouseEvent|FocusEvent} event - The mouseover or focusin event
+   * @private
+   */
+  handleMessageHover = ({ target }) => {
+    const message = target.closest?.(CONFIG.SELECTORS.MESSAGE);
+    const conversationId = this.getCurrentConversationId();
+    if (!message || !conversationId) return;
+
+    const messageId = message.getAttribute("data-message-id");
+    let bookmarkButton = message.querySelector(
+      `:scope > .${CONFIG.CLASSES.BOOKMARK_BUTTON}`,
+    );
+    if (!bookmarkButton) {
+      bookmarkButton = DOMUtils.createButton({
+        className: CONFIG.CLASSES.BOOKMARK_BUTTON,
+        innerHTML: BOOKMARK_ICON_SVG,
+        onClick: this.handleBookmarkButtonClick,
+      });
+      message.appendChild(bookmarkButton);
+    }
+
+    const isBookmarked = this.storageManager.isMessageBookmarked(
+      conversationId,
+      messageId,
+    );
+    const label = isBookmarked
+      ? CONFIG.UI.REMOVE_BOOKMARK
+      : CONFIG.UI.BOOKMARK_MESSAGE;
+    bookmarkButton.classList.toggle(CONFIG.CLASSES.BOOKMARKED, isBookmarked);
+    bookmarkButton.setAttribute("title", label);
+    bookmarkButton.setAttribute("aria-label", label);
+  };
+
+  /**
+   * Bookmarks the message of a bookmark button, or removes its bookmark
+   * A conversation that is not pinned yet is pinned first, since bookmarks
+   * are shown under their pin
+   * @param {MouseEvent} event - The click event
+   * @private
+   */
+  handleBookmarkButtonClick = async (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+
+    const message = e.currentTarget.closest(CONFIG.SELECTORS.MESSAGE);
+    const conversation = ConversationURL.parse(location.pathname);
+    if (!message || !conversation) return;
+
+    const messageId = message.getAttribute("data-message-id");
+    try {
+      if (this.storageManager.isMessageBookmarked(conversation.id, messageId)) {
+        await this.storageManager.removeBookmark(conversation.id, messageId);
+      } else {
+        if (!this.storageManager.isConversationPinned(conversation.id)) {
+          await this.storageManager.pinConversation(
+            conversation.id,
+            this.getOpenConversationTitle(conversation.id),
+            {
+              route: conversation.route,
+              position: this.settings.newPinPosition,
+            },
+          );
+        }
+        await this.storageManager.addBookmark(conversation.id, {
+          messageId,
+          snippet: message.textContent.replace(/\s+/g, " "),
+        });
+      }
+      this.loadPinnedConversations();
+      this.handleMessageHover({ target: message });
+    } catch (error) {
+      console.error("Failed to update bookmark:", error);
+    }
+  };
+
+  /**
+   * Gets the title of the open conversation for a new pin
+   * @param {string} conversationId - The open conversation
+   * @returns {string} The sidebar title, or the page title if the sidebar does not list it
+   * @private
+   */
+  getOpenConversationTitle(conversationId) {
+    return (
+      this.findSidebarLink(conversationId)?.textContent.trim() || document.title
+    );
+  }
 
-    pinnedList.appendChild(conversationItem);
+  /**
+   * Scrolls to a message once the conversation shows it, and highlights it
+   * @param {string} messageId - ChatGPT's ID of the message
+   * @private
+   */
+  async revealMessage(messageId) {
+    try {
+      const message = await DOMUtils.waitForElement(
+        `${CONFIG.SELECTORS.MESSAGE}[data-message-id="${messageId}"]`,
+        CONFIG.TIMEOUTS.MESSAGE_WAIT,
+      );
+      message.scrollIntoView({ behavior: "smooth", block: "center" });
+      message.classList.add(CONFIG.CLASSES.MESSAGE_HIGHLIGHT);
+      setTimeout(
+        () => message.classList.remove(CONFIG.CLASSES.MESSAGE_HIGHLIGHT),
+        CONFIG.TIMEOUTS.MESSAGE_HIGHLIGHT,
+      );
+    } catch (error) {
+      console.warn("Bookmarked message not shown:", error);
+    }
   }
 
   /**
-   * Handles hover events on conversation items
-   * @param {MouseEvent} event - The mouseover event
+   * Handles hover and focus events on conversation items
+   * @param {MouseEvent|FocusEvent} event - The mouseover or focusin event
    * @private
    */
   handleConversationHover = ({ target }) => {
     if (!this.isValidConversationTarget(target)) return;
 
-    const conversationId = target.getAttribute("href");
+    const conversationURL = target.getAttribute("href");
     const conversationTitle = target?.firstElementChild?.textContent;
 
-    if (!conversationId || !conversationTitle) return;
+    if (!ConversationURL.parse(conversationURL) || !conversationTitle) return;
 
     target.setAttribute("data-processed", true);
     this.addPinButtonToConversation(target, {
-      conversationId,
+      conversationURL,
       conversationTitle,
     });
   };
@@ -245,52 +2286,77 @@ class ChatHistoryUI {
   }
 
   /**
-   * Gets the current conversation URL
-   * @returns {string} The current conversation URL
+   * Gets the conversation open in the page
+   * @returns {string|null} The conversation ID, or null if no conversation is open
+   * @private
+   */
+  getCurrentConversationId() {
+    return ConversationURL.parse(location.pathname)?.id ?? null;
+  }
+
+  /**
+   * Finds a conversation's link in ChatGPT's own history list
+   * @param {string} conversationId - The conversation ID
+   * @returns {HTMLAnchorElement|undefined} The link, if the conversation is listed
    * @private
    */
-  getURL() {
-    return location.pathname ?? "";
+  findSidebarLink(conversationId) {
+    return Array.from(
+      this.chatContainer.querySelectorAll(CONFIG.SELECTORS.CONVERSATION_LINK),
+    ).find(
+      (link) =>
+        ConversationURL.parse(link.getAttribute("href"))?.id === conversationId,
+    );
   }
 
   /**
-   * Adds a pin button to a conversation element
-   * @param {Element} target - The target conversation element
+   * Adds a pin button next to a conversation link
+   * A button inside the link would be read as part of it, so it follows the
+   * link instead. A button left behind by a link ChatGPT replaced is removed
+   * @param {Element} target - The target conversation link
    * @param {Object} data - The conversation data
    * @private
    */
   addPinButtonToConversation(target, data) {
     const pinButton = this.createPinButton(data);
-    target.appendChild(pinButton);
+    target.parentElement
+      .querySelector(`:scope > .${CONFIG.CLASSES.PIN_BUTTON}`)
+      ?.remove();
+    target.after(pinButton);
   }
 
   /**
    * Creates a pin button element
    * @param {Object} data - The conversation data
-   * @returns {Element} The created pin button element
+   * @returns {HTMLButtonElement} The created pin button element
    * @private
    */
   createPinButton(data) {
-    return DOMUtils.createButton({
+    const pinButton = DOMUtils.createButton({
       className: CONFIG.CLASSES.PIN_BUTTON,
+      label: CONFIG.UI.PIN_CONVERSATION.replace("%s", data.conversationTitle),
       attributes: {
-        "data-conversation-id": data.conversationId,
+        "aria-haspopup": "menu",
+        "data-conversation-url": data.conversationURL,
         "data-conversation-title": data.conversationTitle,
       },
       innerHTML: PIN_ICON_SVG,
       onClick: this.handlePinButtonClick,
     });
+    pinButton.addEventListener("contextmenu", this.handlePinButtonContextMenu);
+    return pinButton;
   }
 
   /**
    * Creates an unpin button element
    * @param {Object} data - The conversation data
-   * @returns {Element} The created unpin button element
+   * @returns {HTMLButtonElement} The created unpin button element
    * @private
    */
   createUnpinButton(data) {
     return DOMUtils.createButton({
       className: CONFIG.CLASSES.UNPIN_BUTTON,
+      label: CONFIG.UI.UNPIN_CONVERSATION.replace("%s", data.conversationTitle),
       attributes: {
         "data-conversation-id": data.conversationId,
         "data-conversation-title": data.conversationTitle,
@@ -301,40 +2367,209 @@ class ChatHistoryUI {
   }
 
   /**
-   * Loads all pinned conversations from storage and displays them in the UI
+   * Loads all folders and pinned conversations from storage and displays them in the UI
+   * Elements already in the list are updated and moved rather than recreated,
+   * so changes from other tabs keep the active item and keyboard focus
    * @private
    */
   loadPinnedConversations() {
-    const pinnedConversations = this.storageManager.getPinnedConversations();
-    Object.entries(pinnedConversations).forEach(([conversationId, title]) => {
-      const isActiveConversation = this.getURL() === conversationId;
-      this.addPinnedConversationToUI({
-        title,
-        conversationId,
-        isActiveConversation,
-      });
+    const pinnedList = this.getPinnedList();
+    const folders = this.storageManager.getFolders();
+    const pins = this.storageManager.getPinnedConversations();
+    const focusedElement = document.activeElement;
+
+    let previousFolder = null;
+    folders.forEach((folder) => {
+      const folderElement =
+        this.getFolderElement(folder.id) ?? this.addFolderToUI(folder);
+      this.renderFolder(folderElement, folder);
+      previousFolder = this.placeListElement(
+        pinnedList,
+        folderElement,
+        previousFolder,
+      );
+    });
+
+    // Pins outside of folders follow the folders in the pinned list
+    const previousItems = new Map([[pinnedList, previousFolder]]);
+    pins.forEach(({ id: conversationId, ...pin }) => {
+      let conversationItem = this.getPinnedItem(conversationId);
+      if (conversationItem) {
+        this.renderPinnedItemTags(conversationItem, pin.tagIds);
+        this.renderPinnedItemBookmarks(
+          conversationItem,
+          conversationId,
+          pin.bookmarks,
+        );
+      } else {
+        conversationItem = this.addPinnedConversationToUI({
+          ...pin,
+          conversationId,
+          isActiveConversation:
+            this.getCurrentConversationId() === conversationId,
+        });
+      }
+
+      const list = this.getFolderList(pin.folderId);
+      previousItems.set(
+        list,
+        this.placeListElement(
+          list,
+          conversationItem,
+          previousItems.get(list) ?? null,
+        ),
+      );
     });
+
+    const conversationIds = new Set(pins.map(({ id }) => id));
+    pinnedList
+      .querySelectorAll(CONFIG.SELECTORS.PINNED_ITEM)
+      .forEach((item) => {
+        if (!conversationIds.has(item.getAttribute("data-conversation-id"))) {
+          item.remove();
+        }
+      });
+    const folderIds = new Set(folders.map(({ id }) => id));
+    pinnedList
+      .querySelectorAll(CONFIG.SELECTORS.PINNED_FOLDER)
+      .forEach((folderElement) => {
+        if (!folderIds.has(folderElement.getAttribute("data-folder-id"))) {
+          folderElement.remove();
+        }
+      });
+
+    this.renderTagBar();
+    this.renderExpiredArea();
+    this.applyPinnedListFilter();
+
+    // Moving an element blurs it, so give focus back if it is still shown
+    if (
+      pinnedList.contains(focusedElement) &&
+      document.activeElement !== focusedElement
+    ) {
+      focusedElement.focus({ preventScroll: true });
+    }
   }
 
   /**
-   * Handles click events on pin buttons
-   * @param {MouseEvent} event - The click event
+   * Moves an element right after another one, unless it is already there
+   * @param {Element} list - The list the element belongs in
+   * @param {Element} element - The element to place
+   * @param {Element|null} previous - The element it should follow, or null to put it first
+   * @returns {Element} The placed element
+   * @private
+   */
+  placeListElement(list, element, previous) {
+    const expected = previous
+      ? previous.nextElementSibling
+      : list.firstElementChild;
+    if (element !== expected) {
+      list.insertBefore(element, expected);
+    }
+    return element;
+  }
+
+  /**
+   * Shows a folder's name and collapsed state
+   * A name being edited is left alone
+   * @param {Element} folderElement - The folder element
+   * @param {Object} folder - The folder record
+   * @private
+   */
+  renderFolder(folderElement, folder) {
+    folderElement.classList.toggle(
+      CONFIG.CLASSES.FOLDER_COLLAPSED,
+      folder.collapsed,
+    );
+    folderElement
+      .querySelector(`.${CONFIG.CLASSES.FOLDER_TOGGLE}`)
+      .setAttribute("aria-expanded", String(!folder.collapsed));
+
+    const nameElement = folderElement.querySelector(
+      `.${CONFIG.CLASSES.FOLDER_NAME}`,
+    );
+    if (!nameElement.querySelector(`.${CONFIG.CLASSES.INLINE_INPUT}`)) {
+      nameElement.textContent = folder.name;
+      nameElement.setAttribute("title", folder.name);
+    }
+  }
+
+  /**
+   * Opens the pin menu below a pin button
+   * Clicks from the keyboard have no pointer position, so the menu is placed
+   * by the button
+   * @param {MouseEvent} e - The click event
    * @private
    */
   handlePinButtonClick = (e) => {
     e.stopPropagation();
     e.preventDefault();
 
-    const conversationId = e.currentTarget.getAttribute("data-conversation-id");
-    const title = e.currentTarget.getAttribute("data-conversation-title");
+    const { left, right, bottom } = e.currentTarget.getBoundingClientRect();
+    this.openPinMenu(
+      e.currentTarget,
+      I18n.getDirection() === "rtl" ? right : left,
+      bottom,
+    );
+  };
+
+  /**
+   * Opens the pin menu where a pin button is right-clicked
+   * @param {MouseEvent} e - The contextmenu event
+   * @private
+   */
+  handlePinButtonContextMenu = (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+    this.openPinMenu(e.currentTarget, e.clientX, e.clientY);
+  };
 
-    if (!conversationId || !title) return;
+  /**
+   * Offers to pin a conversation for good, until the end of the day, or for
+   * a number of days
+   * "Pin for… days" pins the conversation and then asks for the number of
+   * days on the new pin; cancelling keeps the pin without an expiry
+   * @param {HTMLButtonElement} pinButton - The pin button of the conversation
+   * @param {number} x - Horizontal viewport position of the menu
+   * @param {number} y - Vertical viewport position of the menu
+   * @private
+   */
+  openPinMenu(pinButton, x, y) {
+    const conversation = ConversationURL.parse(
+      pinButton.getAttribute("data-conversation-url"),
+    );
+    const title = pinButton.getAttribute("data-conversation-title");
+    if (!conversation || !title) return;
 
-    this.eventManager.emit(EVENT_TYPES.PIN_CONVERSATION, {
-      conversationId,
-      title,
+    const pin = (options = {}) =>
+      this.eventManager.emit(EVENT_TYPES.PIN_CONVERSATION, {
+        conversationId: conversation.id,
+        route: conversation.route,
+        title,
+        ...options,
+      });
+    this.contextMenu.open({
+      x,
+      y,
+      items: [
+        { label: CONFIG.UI.PIN, onSelect: () => pin() },
+        { separator: true },
+        {
+          label: CONFIG.UI.PIN_UNTIL_END_OF_DAY,
+          onSelect: () => pin({ expiresAt: this.getEndOfDay() }),
+        },
+        ...CONFIG.EXPIRY.DAY_OPTIONS.map((days) => ({
+          label: CONFIG.UI.PIN_FOR_DAYS.replace("%s", days),
+          onSelect: () =>
+            pin({ expiresAt: Date.now() + days * CONFIG.EXPIRY.DAY }),
+        })),
+        {
+          label: CONFIG.UI.PIN_FOR_CUSTOM_DAYS,
+          onSelect: () => pin({ editExpiry: true }),
+        },
+      ],
     });
-  };
+  }
 
   /**
    * Handles click events on unpin buttons
@@ -354,13 +2589,13 @@ class ChatHistoryUI {
 
   /**
    * Updates the active state of conversations when the URL changes
-   * @param {string} url - The new URL
+   * @param {string|null} conversationId - The open conversation, or null if none is open
    * @private
    */
-  conversationChanged(url) {
+  conversationChanged(conversationId) {
     DOMUtils.updateActiveState(
       CONFIG.SELECTORS.PINNED_LIST,
-      `a[href="${url}"], a[chatLink="${url}"]`,
+      `a[chatLink="${conversationId}"]:not([data-message-id])`,
     );
   }
 
@@ -369,14 +2604,19 @@ class ChatHistoryUI {
    * @private
    */
   setUpURLTracker() {
-    this.urlTracker = new URLTracker(CONFIG.URL.PATTERN);
-    this.urlTracker.setupOnChangeCallback((url) => {
-      this.conversationChanged(url);
-    });
+    this.urlTracker = new URLTracker(this.eventManager);
+    this.eventManager.on(
+      EVENT_TYPES.CONVERSATION_CHANGED,
+      ({ conversationId }) => {
+        this.conversationChanged(conversationId);
+        this.checkConversationAvailability(conversationId);
+      },
+    );
   }
 
   /**
    * Handles navigation to a conversation
+   * Links to a bookmark also scroll to the bookmarked message once it renders
    * @param {MouseEvent} e - The click event
    * @private
    */
@@ -386,36 +2626,59 @@ class ChatHistoryUI {
 
     const conversationLink = e.target.closest("a");
     const conversationId = conversationLink.attributes.chatLink.value;
+    const messageId = conversationLink.getAttribute("data-message-id");
+    this.storageManager
+      .markConversationOpened(conversationId)
+      .then(() => this.applyPinnedListFilter())
+      .catch((error) => console.error("Failed to update pin:", error));
 
-    const allConversationLinks = this.chatContainer.querySelectorAll(
-      CONFIG.SELECTORS.CONVERSATION_LINK,
-    );
-    const originalConversation = Array.from(allConversationLinks).find(
-      (link) => link.getAttribute("href") === conversationId,
-    );
+    const originalConversation = this.findSidebarLink(conversationId);
 
     if (originalConversation) {
       originalConversation.click();
     } else {
+      const pin = this.storageManager
+        .getPinnedConversations()
+        .find(({ id }) => id === conversationId);
       const link = DOMUtils.createLink({
-        href: conversationId,
+        href: ConversationURL.getPath(pin ?? { id: conversationId }),
       });
       link.click();
     }
+
+    if (messageId) {
+      this.revealMessage(messageId);
+    }
+  };
+
+  /**
+   * Saves pin changes still waiting for their delayed save before the tab
+   * closes or navigates away
+   * @private
+   */
+  handlePageHide = () => {
+    this.storageManager
+      .flush()
+      .catch((error) => console.error("Failed to save pins:", error));
   };
 
   /**
    * Cleans up resources and event listeners
    */
   cleanup() {
-    if (this.urlTracker.observer) {
-      this.urlTracker.disconnect();
-    }
+    this.urlTracker?.disconnect();
     this.eventManager.cleanup();
-    this.chatContainer.removeEventListener(
-      "mouseover",
-      this.handleConversationHover,
-    );
+    document.removeEventListener("mouseover", this.handleMessageHover);
+    document.removeEventListener("focusin", this.handleMessageHover);
+    window.removeEventListener("pagehide", this.handlePageHide);
+    chrome.runtime.onMessage.removeListener(this.handleRuntimeMessage);
+    this.storageManager.stopWatchingForChanges();
+    this.settingsStorage.stopWatchingForChanges();
+    this.mountWatcher.stop();
+    this.detachSidebarListeners();
+    this.contextMenu.close();
+    this.liveRegion?.remove();
+    this.liveRegion = null;
   }
 }
 
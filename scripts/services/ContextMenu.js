@@ -0,0 +1,141 @@
+import DOMUtils from "./DOMUtils.js";
+import I18n from "./I18n.js";
+import CONFIG from "../config.js";
+
+/**
+ * Class responsible for showing a context menu for pinned items
+ * Only one menu is open at a time; it closes on selection, on Escape or Tab,
+ * or when the user clicks or scrolls elsewhere. The arrow keys, Home and End
+ * move focus between the entries, and closing returns focus to where it was
+ */
+export class ContextMenu {
+  constructor() {
+    this.element = null;
+    this.previousFocus = null;
+  }
+
+  /**
+   * Opens the menu at the given position, replacing any open menu
+   * In right-to-left languages the menu opens to the left of the position
+   * @param {Object} config - Menu configuration
+   * @param {number} config.x - Horizontal viewport position
+   * @param {number} config.y - Vertical viewport position
+   * @param {Array<{label: string, onSelect: Function, disabled?: boolean, checked?: boolean, color?: string}|{separator: true}>} config.items - Menu entries
+   */
+  open({ x, y, items }) {
+    this.close();
+    this.previousFocus = document.activeElement;
+
+    const menu = DOMUtils.createElement("div");
+    menu.className = CONFIG.CLASSES.CONTEXT_MENU;
+    menu.setAttribute("role", "menu");
+    I18n.applyLanguage(menu);
+
+    items.forEach((item) => {
+      if (item.separator) {
+        const separator = DOMUtils.createElement("div");
+        separator.setAttribute("role", "separator");
+        menu.appendChild(separator);
+        return;
+      }
+
+      const entry = DOMUtils.createElement("button");
+      entry.type = "button";
+      entry.tabIndex = -1;
+      entry.textContent = item.label;
+      entry.disabled = !!item.disabled;
+      if (typeof item.checked === "boolean") {
+        entry.setAttribute("role", "menuitemcheckbox");
+        entry.setAttribute("aria-checked", String(item.checked));
+      } else {
+        entry.setAttribute("role", "menuitem");
+      }
+      if (item.color) {
+        entry.prepend(DOMUtils.createColorSwatch(item.color));
+      }
+      entry.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.close();
+        item.onSelect();
+      });
+      menu.appendChild(entry);
+    });
+
+    document.body.appendChild(menu);
+    const { width, height } = menu.getBoundingClientRect();
+    const left = I18n.getDirection() === "rtl" ? x - width : x;
+    menu.style.left = `${Math.max(0, Math.min(left, window.innerWidth - width))}px`;
+    menu.style.top = `${Math.min(y, window.innerHeight - height)}px`;
+    this.element = menu;
+
+    document.addEventListener("mousedown", this.handleOutsideInteraction, true);
+    document.addEventListener("scroll", this.handleOutsideInteraction, true);
+    document.addEventListener("keydown", this.handleKeyDown, true);
+    menu.querySelector("button:not(:disabled)")?.focus();
+  }
+
+  /**
+   * Closes the menu if it is open
+   */
+  close() {
+    if (!this.element) return;
+
+    const hadFocus = this.element.contains(document.activeElement);
+    this.element.remove();
+    this.element = null;
+    if (hadFocus && this.previousFocus?.isConnected) {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+    document.removeEventListener(
+      "mousedown",
+      this.handleOutsideInteraction,
+      true,
+    );
+    document.removeEventListener("scroll", this.handleOutsideInteraction, true);
+    document.removeEventListener("keydown", this.handleKeyDown, true);
+  }
+
+  /**
+   * Closes the menu when the user interacts with the page outside of it
+   * @param {Event} e - The mousedown or scroll event
+   * @private
+   */
+  handleOutsideInteraction = (e) => {
+    if (!this.element?.contains(e.target)) {
+      this.close();
+    }
+  };
+
+  /**
+   * Moves focus between the entries, and closes the menu on Escape or Tab
+   * @param {KeyboardEvent} e - The keydown event
+   * @private
+   */
+  handleKeyDown = (e) => {
+    if (e.key === "Escape" || e.key === "Tab") {
+      e.preventDefault();
+      e.stopPropagation();
+      this.close();
+      return;
+    }
+    if (!["ArrowUp", "ArrowDown", "Home", "End"].includes(e.key)) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    const entries = Array.from(
+      this.element.querySelectorAll("button:not(:disabled)"),
+    );
+    if (entries.length === 0) return;
+
+    const current = entries.indexOf(document.activeElement);
+    const last = entries.length - 1;
+    const next = {
+      ArrowUp: current <= 0 ? last : current - 1,
+      ArrowDown: current === last ? 0 : current + 1,
+      Home: 0,
+      End: last,
+    }[e.key];
+    entries[next].focus();
+  };
+}
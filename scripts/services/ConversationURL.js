@@ -0,0 +1,76 @@
+import CONFIG from "../config.js";
+
+/**
+ * Utility class for reading and building ChatGPT conversation URLs
+ * A conversation keeps its ID wherever it is opened from, but its URL also
+ * names the custom GPT or project it belongs to. Pins are stored under the
+ * ID and keep that route context, so the URL can be rebuilt from it
+ */
+class ConversationURL {
+  /**
+   * Reads the conversation a URL points to
+   * @param {string} url - A path such as "/g/g-abc-name/c/<id>", or an absolute URL
+   * @returns {{id: string, route: {type: string, gizmoId: string, slug: string|null}|null}|null} The conversation ID and route context, or null if the URL is not a conversation
+   */
+  static parse(url) {
+    if (typeof url !== "string") return null;
+
+    let path;
+    try {
+      path = new URL(url, CONFIG.URL.ORIGIN).pathname;
+    } catch {
+      return null;
+    }
+
+    const match = path.match(CONFIG.URL.PATTERN);
+    if (!match) return null;
+
+    const { conversationId, gizmoId, slug } = match.groups;
+    return {
+      id: conversationId,
+      route: gizmoId
+        ? {
+            type: gizmoId.startsWith(CONFIG.URL.PROJECT_PREFIX)
+              ? CONFIG.ROUTE_TYPES.PROJECT
+              : CONFIG.ROUTE_TYPES.GPT,
+            gizmoId,
+            slug: slug ?? null,
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Builds the path of a conversation
+   * @param {{id: string, route?: {gizmoId: string, slug: string|null}|null}} conversation - A pin record or parsed URL
+   * @returns {string} The conversation path
+   */
+  static getPath({ id, route = null }) {
+    if (!route) {
+      return `/c/${id}`;
+    }
+    const gizmo = route.slug ? `${route.gizmoId}-${route.slug}` : route.gizmoId;
+    return `/g/${gizmo}/c/${id}`;
+  }
+
+  /**
+   * Builds the full URL of a conversation
+   * @param {{id: string, route?: Object|null}} conversation - A pin record or parsed URL
+   * @param {string} [origin] - The ChatGPT origin to use
+   * @returns {string} The conversation URL
+   */
+  static getURL(conversation, origin = CONFIG.URL.ORIGIN) {
+    return new URL(this.getPath(conversation), origin).href;
+  }
+
+  /**
+   * Checks whether a URL is on one of ChatGPT's domains
+   * @param {string} url - The URL to check
+   * @returns {boolean} True if the URL is a ChatGPT page
+   */
+  static isChatGPTURL(url) {
+    return CONFIG.URL.ORIGINS.some((origin) => url?.startsWith(`${origin}/`));
+  }
+}
+
+export default ConversationURL;
@@ -17,17 +17,31 @@ class DOMUtils {
 
   /**
    * Creates a button element with specified configuration
+   * Icon buttons need a label, since screen readers cannot read their icon
    * @param {Object} config - Button configuration
    * @param {string} config.className - CSS class name
+   * @param {string} [config.label] - Accessible name, also shown as a tooltip
    * @param {Object} [config.attributes] - Additional attributes
    * @param {string} [config.innerHTML] - Button content
    * @param {Function} [config.onClick] - Click event handler
    * @returns {HTMLButtonElement} The created button
    */
-  static createButton({ className, attributes = {}, innerHTML, onClick }) {
-    const button = this.createElement("div");
+  static createButton({
+    className,
+    label,
+    attributes = {},
+    innerHTML,
+    onClick,
+  }) {
+    const button = this.createElement("button");
+    button.type = "button";
     button.className = className;
 
+    if (label) {
+      button.setAttribute("aria-label", label);
+      button.setAttribute("title", label);
+    }
+
     Object.entries(attributes).forEach(([key, value]) => {
       button.setAttribute(key, value);
     });
@@ -48,11 +62,25 @@ class DOMUtils {
    * @param {Object} config - Section configuration
    * @param {string} config.title - Section title
    * @param {string} config.id - Section ID
+   * @param {Element[]} [config.actions] - Buttons shown next to the title
+   * @param {Element[]} [config.toolbar] - Elements shown below the title, inside the sticky header
+   * @param {boolean} [config.collapsed] - Whether the section starts collapsed
+   * @param {string} [config.toggleIcon] - Icon shown before the title of a collapsible section
+   * @param {Function} [config.onToggle] - Toggle button click handler; makes the section collapsible
    * @returns {HTMLElement} The created section
    */
-  static createSection({ title, id }) {
+  static createSection({
+    title,
+    id,
+    actions = [],
+    toolbar = [],
+    collapsed = false,
+    toggleIcon = "",
+    onToggle,
+  }) {
     const section = this.createElement("div");
     section.className = "relative mt-5 first:mt-0 last:mb-5";
+    section.classList.toggle(CONFIG.CLASSES.SECTION_COLLAPSED, collapsed);
 
     const header = this.createElement("div");
     header.className = "sticky bg-token-sidebar-surface-primary top-0 z-20";
@@ -63,19 +91,307 @@ class DOMUtils {
     const titleElement = this.createElement("h3");
     titleElement.className =
       "px-2 text-xs font-semibold text-ellipsis overflow-hidden break-all pt-3 pb-2 text-token-text-primary";
-    titleElement.textContent = title;
+
+    const titleText = this.createElement("span");
+    titleText.className = CONFIG.CLASSES.SECTION_TITLE;
+    titleText.id = `${id}-title`;
+    titleText.textContent = title;
 
     const content = this.createElement("ol");
     content.id = id;
+    content.setAttribute("aria-labelledby", titleText.id);
 
+    if (onToggle) {
+      // The actions go next to the heading, outside the toggle button
+      const toggle = this.createElement("button");
+      toggle.type = "button";
+      toggle.className = CONFIG.CLASSES.SECTION_TOGGLE;
+      toggle.setAttribute("aria-expanded", String(!collapsed));
+      toggle.setAttribute("aria-controls", id);
+      toggle.innerHTML = toggleIcon;
+
+      const count = this.createElement("span");
+      count.className = CONFIG.CLASSES.SECTION_COUNT;
+      toggle.append(titleText, count);
+      toggle.addEventListener("click", onToggle);
+      titleElement.appendChild(toggle);
+    } else {
+      titleElement.appendChild(titleText);
+    }
     titleSpan.appendChild(titleElement);
+
+    if (actions.length > 0) {
+      const actionsContainer = this.createElement("div");
+      actionsContainer.className = CONFIG.CLASSES.SECTION_ACTIONS;
+      actionsContainer.append(...actions);
+      titleSpan.appendChild(actionsContainer);
+    }
     header.appendChild(titleSpan);
+    header.append(...toolbar);
     section.appendChild(header);
     section.appendChild(content);
 
     return section;
   }
 
+  /**
+   * Creates a collapsible folder for the pinned list
+   * @param {Object} config - Folder configuration
+   * @param {string} config.id - Folder ID
+   * @param {string} config.name - Folder name
+   * @param {boolean} [config.collapsed] - Whether the folder starts collapsed
+   * @param {string} [config.toggleIcon] - Icon shown before the name
+   * @param {Element[]} [config.actions] - Buttons shown in the folder header
+   * @param {Function} [config.onToggle] - Header click handler
+   * @returns {HTMLLIElement} The folder item, containing a list for its pins
+   */
+  static createFolder({
+    id,
+    name,
+    collapsed = false,
+    toggleIcon = "",
+    actions = [],
+    onToggle,
+  }) {
+    const folder = this.createElement("li");
+    folder.className = CONFIG.CLASSES.FOLDER;
+    folder.classList.toggle(CONFIG.CLASSES.FOLDER_COLLAPSED, collapsed);
+    folder.setAttribute("data-folder-id", id);
+
+    const header = this.createElement("div");
+    header.className = CONFIG.CLASSES.FOLDER_HEADER;
+
+    const nameElement = this.createElement("span");
+    nameElement.id = `pinned-folder-${id}-name`;
+    nameElement.className = CONFIG.CLASSES.FOLDER_NAME;
+    nameElement.textContent = name;
+    nameElement.setAttribute("title", name);
+
+    const list = this.createElement("ol");
+    list.id = `pinned-folder-${id}-list`;
+    list.className = CONFIG.CLASSES.FOLDER_LIST;
+    list.setAttribute("aria-labelledby", nameElement.id);
+
+    // The name stays outside the button so it can be swapped for the
+    // rename input, and the actions stay reachable as buttons of their own
+    const toggle = this.createElement("button");
+    toggle.type = "button";
+    toggle.className = CONFIG.CLASSES.FOLDER_TOGGLE;
+    toggle.setAttribute("aria-expanded", String(!collapsed));
+    toggle.setAttribute("aria-controls", list.id);
+    toggle.setAttribute("aria-labelledby", nameElement.id);
+    toggle.innerHTML = toggleIcon;
+
+    const actionsContainer = this.createElement("div");
+    actionsContainer.className = CONFIG.CLASSES.FOLDER_ACTIONS;
+    actionsContainer.append(...actions);
+
+    header.append(toggle, nameElement, actionsContainer);
+
+    // Clicks on the toggle bubble up here, so the whole row toggles
+    if (onToggle) {
+      header.addEventListener("click", onToggle);
+    }
+
+    folder.appendChild(header);
+    folder.appendChild(list);
+    return folder;
+  }
+
+  /**
+   * Creates a small round swatch showing a colour
+   * @param {string} color - The colour to show
+   * @returns {HTMLSpanElement} The created swatch
+   */
+  static createColorSwatch(color) {
+    const swatch = this.createElement("span");
+    swatch.className = CONFIG.CLASSES.COLOR_SWATCH;
+    swatch.style.backgroundColor = color;
+    return swatch;
+  }
+
+  /**
+   * Creates a toggleable chip for the tag bar
+   * @param {Object} config - Chip configuration
+   * @param {string} config.label - Chip text
+   * @param {string} [config.color] - Tag colour, shown as a swatch
+   * @param {boolean} [config.pressed] - Whether the chip is selected
+   * @param {Object} [config.attributes] - Additional attributes
+   * @param {Function} [config.onClick] - Click event handler
+   * @param {Function} [config.onContextMenu] - Context menu event handler
+   * @returns {HTMLButtonElement} The created chip
+   */
+  static createTagChip({
+    label,
+    color,
+    pressed,
+    attributes = {},
+    onClick,
+    onContextMenu,
+  }) {
+    const chip = this.createElement("button");
+    chip.type = "button";
+    chip.className = CONFIG.CLASSES.TAG_CHIP;
+
+    Object.entries(attributes).forEach(([key, value]) => {
+      chip.setAttribute(key, value);
+    });
+
+    if (color) {
+      chip.style.setProperty("--pinned-tag-color", color);
+      chip.appendChild(this.createColorSwatch(color));
+    }
+    if (typeof pressed === "boolean") {
+      chip.setAttribute("aria-pressed", String(pressed));
+    }
+
+    const text = this.createElement("span");
+    text.textContent = label;
+    chip.appendChild(text);
+
+    if (onClick) {
+      chip.addEventListener("click", onClick);
+    }
+    if (onContextMenu) {
+      chip.addEventListener("contextmenu", onContextMenu);
+    }
+
+    return chip;
+  }
+
+  /**
+   * Creates the row of colour dots showing the tags on a pin
+   * @param {Array<{name: string, color: string}>} tags - The pin's tags
+   * @returns {HTMLSpanElement} The created element
+   */
+  static createTagDots(tags) {
+    const dots = this.createElement("span");
+    dots.className = CONFIG.CLASSES.TAG_DOTS;
+    dots.setAttribute("title", tags.map(({ name }) => name).join(", "));
+    tags.forEach(({ color }) => {
+      dots.appendChild(this.createColorSwatch(color));
+    });
+    return dots;
+  }
+
+  /**
+   * Creates a search input that reports its value as the user types
+   * Escape clears the input, or leaves it when it is already empty
+   * @param {Object} config - Input configuration
+   * @param {string} config.placeholder - Placeholder text
+   * @param {Function} config.onSearch - Called with the current query
+   * @returns {HTMLInputElement} The created input
+   */
+  static createSearchInput({ placeholder, onSearch }) {
+    const input = this.createElement("input");
+    input.type = "search";
+    input.className = CONFIG.CLASSES.SEARCH_INPUT;
+    input.placeholder = placeholder;
+    input.setAttribute("aria-label", placeholder);
+    input.autocomplete = "off";
+    input.spellcheck = false;
+
+    input.addEventListener("input", () => onSearch(input.value));
+    input.addEventListener("keydown", (e) => {
+      if (e.key !== "Escape") return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (input.value) {
+        input.value = "";
+        onSearch("");
+      } else {
+        input.blur();
+      }
+    });
+
+    return input;
+  }
+
+  /**
+   * Creates text with some characters wrapped in <mark> elements
+   * @param {string} text - The text to show
+   * @param {number[]} [indices] - Indices of the characters to highlight
+   * @returns {DocumentFragment} The text, ready to be appended
+   */
+  static createHighlightedText(text, indices = []) {
+    const fragment = document.createDocumentFragment();
+    const highlighted = new Set(indices);
+    let index = 0;
+
+    while (index < text.length) {
+      const isMatch = highlighted.has(index);
+      let end = index + 1;
+      while (end < text.length && highlighted.has(end) === isMatch) {
+        end++;
+      }
+
+      const part = text.slice(index, end);
+      if (isMatch) {
+        const mark = this.createElement("mark");
+        mark.className = CONFIG.CLASSES.SEARCH_MATCH;
+        mark.textContent = part;
+        fragment.appendChild(mark);
+      } else {
+        fragment.appendChild(document.createTextNode(part));
+      }
+      index = end;
+    }
+
+    return fragment;
+  }
+
+  /**
+   * Creates a text input for editing a value in place
+   * Enter or blur submits the value, Escape cancels the edit
+   * @param {Object} config - Input configuration
+   * @param {string} [config.value] - Initial value
+   * @param {string} [config.placeholder] - Placeholder text
+   * @param {number} [config.maxLength] - Maximum value length
+   * @param {string} [config.type] - Input type, such as "datetime-local"
+   * @param {Function} config.onSubmit - Called with the entered value
+   * @param {Function} config.onCancel - Called when the edit is cancelled
+   * @returns {HTMLInputElement} The created input
+   */
+  static createInlineInput({
+    value = "",
+    placeholder = "",
+    maxLength,
+    type = "text",
+    onSubmit,
+    onCancel,
+  }) {
+    const input = this.createElement("input");
+    input.type = type;
+    input.className = CONFIG.CLASSES.INLINE_INPUT;
+    input.value = value;
+    input.placeholder = placeholder;
+    if (maxLength) {
+      input.maxLength = maxLength;
+    }
+
+    let done = false;
+    const finish = (callback) => {
+      if (done) return;
+      done = true;
+      callback();
+    };
+
+    input.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      if (e.key === "Enter") {
+        e.preventDefault();
+        finish(() => onSubmit(input.value));
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        finish(onCancel);
+      }
+    });
+    input.addEventListener("blur", () => finish(() => onSubmit(input.value)));
+    input.addEventListener("click", (e) => e.stopPropagation());
+
+    return input;
+  }
+
   /**
    * Creates and appends a link element to load the pin button styles
    * Uses Chrome extension's runtime URL to load the stylesheet
@@ -124,10 +440,12 @@ class DOMUtils {
         if (desiredElement) {
           res(desiredElement);
           clearInterval(waitForChatItem);
+          clearTimeout(timeoutId);
         }
       }, CONFIG.TIMEOUTS.CHECK_INTERVAL);
 
-      setTimeout(() => {
+      const timeoutId = setTimeout(() => {
+        clearInterval(waitForChatItem);
         rej(`Element not found: ${selector}`);
       }, timeout);
     });
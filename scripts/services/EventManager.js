@@ -83,7 +83,7 @@ export class EventManager {
     return new Promise((resolve, reject) => {
       const timeoutId = setTimeout(() => {
         this.off(eventType, handler);
-        reject(new Error(`Timeout waiting for event: ${eventType}`));
+        reject(new Error(`${CONFIG.ERRORS.EVENT_TIMEOUT} ${eventType}`));
       }, timeout);
 
       const handler = (data) => {
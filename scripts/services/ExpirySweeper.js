@@ -0,0 +1,51 @@
+import CONFIG from "../config.js";
+import Logger from "./Logger.js";
+
+/**
+ * Class responsible for expiring temporary pins on a schedule
+ * Runs in the background worker so pins expire even while no ChatGPT tab is
+ * open. A repeating alarm wakes the worker every
+ * CONFIG.EXPIRY.SWEEP_PERIOD_MINUTES; the sweep itself is done by
+ * ChatHistoryStorage, and open tabs pick up the result from storage
+ */
+export class ExpirySweeper {
+  /**
+   * Creates a new ExpirySweeper instance
+   * @param {import("./ChatHistoryStorage.js").ChatHistoryStorage} storageManager - The initialized pin storage
+   */
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+  }
+
+  /**
+   * Creates the repeating sweep alarm unless it already exists
+   * @returns {Promise<void>}
+   */
+  async schedule() {
+    if (await chrome.alarms.get(CONFIG.EXPIRY.SWEEP_ALARM)) return;
+    await chrome.alarms.create(CONFIG.EXPIRY.SWEEP_ALARM, {
+      delayInMinutes: CONFIG.EXPIRY.SWEEP_PERIOD_MINUTES,
+      periodInMinutes: CONFIG.EXPIRY.SWEEP_PERIOD_MINUTES,
+    });
+  }
+
+  /**
+   * Sweeps when the sweep alarm goes off
+   * @param {chrome.alarms.Alarm} alarm - The alarm that went off
+   * @returns {Promise<void>}
+   */
+  async handleAlarm(alarm) {
+    if (alarm.name !== CONFIG.EXPIRY.SWEEP_ALARM) return;
+    await this.sweep();
+  }
+
+  /**
+   * Moves expired pins to the recently expired area and purges old ones
+   * @returns {Promise<{expired: string[], purged: string[]}>} IDs of the pins that expired and of those purged
+   */
+  async sweep() {
+    const result = await this.storageManager.expireConversations();
+    Logger.debug("Expiry sweep:", result);
+    return result;
+  }
+}
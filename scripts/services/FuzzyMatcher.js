@@ -0,0 +1,52 @@
+/**
+ * Utility class for case-insensitive fuzzy matching
+ * A query matches when its characters appear in the text in order,
+ * not necessarily next to each other
+ */
+class FuzzyMatcher {
+  /**
+   * Matches a query against a text
+   * A contiguous match is preferred so typing a whole word highlights that word
+   * @param {string} query - The search query
+   * @param {string} text - The text to search in
+   * @returns {number[]|null} Indices of the matched characters in text, or null if there is no match
+   */
+  static match(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, "");
+    const haystack = text.toLowerCase();
+    if (!needle) return [];
+
+    const start = haystack.indexOf(needle);
+    if (start !== -1) {
+      return Array.from({ length: needle.length }, (_, i) => start + i);
+    }
+
+    const indices = [];
+    let position = 0;
+    for (const char of needle) {
+      position = haystack.indexOf(char, position);
+      if (position === -1) return null;
+      indices.push(position++);
+    }
+    return indices;
+  }
+
+  /**
+   * Matches a query against several fields of a record
+   * Only matches in the first field are reported, since it is the one shown
+   * @param {string} query - The search query
+   * @param {Array<string|null>} fields - The texts to search, shown text first
+   * @returns {number[]|null} Indices to highlight in the first field, or null if no field matches
+   */
+  static matchFields(query, [shownText, ...otherFields]) {
+    const shownMatch = this.match(query, shownText);
+    if (shownMatch) return shownMatch;
+
+    const otherMatch = otherFields.some(
+      (text) => text && this.match(query, text),
+    );
+    return otherMatch ? [] : null;
+  }
+}
+
+export default FuzzyMatcher;
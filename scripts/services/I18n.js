@@ -0,0 +1,49 @@
+/**
+ * Utility class for reading translated strings from the _locales catalogs
+ * chrome.i18n picks the catalog of the browser's language and falls back to
+ * the English one (the manifest's default_locale) for missing messages.
+ * Strings keep "%s" where a value is filled in, as in CONFIG.UI, so the
+ * message catalogs use no chrome.i18n placeholders.
+ * This module must not import config.js, which reads its strings from here
+ */
+class I18n {
+  /**
+   * Gets a message from the catalogs
+   * @param {string} name - The message name in messages.json
+   * @returns {string} The translated message, or the name itself if no catalog has it
+   */
+  static getMessage(name) {
+    return globalThis.chrome?.i18n?.getMessage(name) || name;
+  }
+
+  /**
+   * Gets the language the extension's strings are shown in
+   * @returns {string} A BCP 47 language tag, such as "de" or "en-US"
+   */
+  static getLanguage() {
+    return globalThis.chrome?.i18n?.getUILanguage() || "en";
+  }
+
+  /**
+   * Gets the writing direction of that language
+   * @returns {string} "rtl" or "ltr"
+   */
+  static getDirection() {
+    return this.getMessage("@@bidi_dir") === "rtl" ? "rtl" : "ltr";
+  }
+
+  /**
+   * Marks an element as written in the extension's language and direction
+   * Injected elements need this, since the page around them may use another
+   * language than the browser
+   * @param {Element} element - The element to mark
+   * @returns {Element} The element
+   */
+  static applyLanguage(element) {
+    element.setAttribute("lang", this.getLanguage());
+    element.setAttribute("dir", this.getDirection());
+    return element;
+  }
+}
+
+export default I18n;
@@ -0,0 +1,160 @@
+import CONFIG from "../config.js";
+
+/**
+ * Class responsible for reordering list items by drag and drop or keyboard
+ * Items are moved in the DOM while dragging and the owner is notified once a
+ * move is finished, so it can persist the new order
+ */
+export class ListReorder {
+  /**
+   * Creates a new ListReorder instance
+   * @param {Element} root - Element containing the reorderable items
+   * @param {Object} options - Reorder options
+   * @param {string} options.itemSelector - Selector matching movable items
+   * @param {Function} options.onReorder - Called with the moved item after a move
+   * @param {Function} [options.getContainer] - Maps the element under the pointer to a list the item can be dropped into when no item is hovered
+   */
+  constructor(root, { itemSelector, onReorder, getContainer }) {
+    this.root = root;
+    this.itemSelector = itemSelector;
+    this.onReorder = onReorder;
+    this.getContainer = getContainer;
+    this.draggedItem = null;
+  }
+
+  /**
+   * Makes the items draggable and starts listening for reorder interactions
+   */
+  attach() {
+    this.root.addEventListener("dragstart", this.handleDragStart);
+    this.root.addEventListener("dragover", this.handleDragOver);
+    this.root.addEventListener("drop", this.handleDrop);
+    this.root.addEventListener("dragend", this.handleDragEnd);
+    this.root.addEventListener("keydown", this.handleKeyDown);
+  }
+
+  /**
+   * Stops listening for reorder interactions
+   */
+  detach() {
+    this.root.removeEventListener("dragstart", this.handleDragStart);
+    this.root.removeEventListener("dragover", this.handleDragOver);
+    this.root.removeEventListener("drop", this.handleDrop);
+    this.root.removeEventListener("dragend", this.handleDragEnd);
+    this.root.removeEventListener("keydown", this.handleKeyDown);
+  }
+
+  /**
+   * Finds the movable item containing an element
+   * @param {Element} element - Element inside an item
+   * @returns {Element|null} The item, if it belongs to this list
+   * @private
+   */
+  getItem(element) {
+    const item = element?.closest?.(this.itemSelector);
+    return item && this.root.contains(item) ? item : null;
+  }
+
+  /**
+   * Handles the start of a drag
+   * @param {DragEvent} e - The dragstart event
+   * @private
+   */
+  handleDragStart = (e) => {
+    const item = this.getItem(e.target);
+    if (!item) return;
+
+    this.draggedItem = item;
+    item.classList.add(CONFIG.CLASSES.DRAGGING);
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", "");
+  };
+
+  /**
+   * Moves the dragged item next to the item under the pointer
+   * @param {DragEvent} e - The dragover event
+   * @private
+   */
+  handleDragOver = (e) => {
+    if (!this.draggedItem) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+
+    const target = this.getItem(e.target);
+    if (!target) {
+      const container = this.getContainer?.(e.target);
+      if (container && container !== this.draggedItem.parentNode) {
+        container.appendChild(this.draggedItem);
+      }
+      return;
+    }
+    if (target === this.draggedItem) return;
+
+    const { top, height } = target.getBoundingClientRect();
+    const insertAfter = e.clientY > top + height / 2;
+    target.parentNode.insertBefore(
+      this.draggedItem,
+      insertAfter ? target.nextSibling : target,
+    );
+  };
+
+  /**
+   * Accepts the drop so the browser does not navigate to dropped data
+   * @param {DragEvent} e - The drop event
+   * @private
+   */
+  handleDrop = (e) => {
+    if (this.draggedItem) {
+      e.preventDefault();
+    }
+  };
+
+  /**
+   * Finishes a drag and reports the new position
+   * @private
+   */
+  handleDragEnd = () => {
+    const item = this.draggedItem;
+    if (!item) return;
+
+    this.draggedItem = null;
+    item.classList.remove(CONFIG.CLASSES.DRAGGING);
+    this.onReorder(item);
+  };
+
+  /**
+   * Moves the focused item with Alt+ArrowUp and Alt+ArrowDown
+   * @param {KeyboardEvent} e - The keydown event
+   * @private
+   */
+  handleKeyDown = (e) => {
+    if (!e.altKey || (e.key !== "ArrowUp" && e.key !== "ArrowDown")) return;
+
+    const item = this.getItem(e.target);
+    if (!item) return;
+
+    e.preventDefault();
+    if (this.moveItem(item, e.key === "ArrowUp" ? -1 : 1)) {
+      e.target.focus();
+      this.onReorder(item);
+    }
+  };
+
+  /**
+   * Moves an item one position up or down among its siblings
+   * @param {Element} item - The item to move
+   * @param {number} direction - -1 to move up, 1 to move down
+   * @returns {boolean} True if the item was moved
+   */
+  moveItem(item, direction) {
+    const sibling =
+      direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+    if (!sibling?.matches(this.itemSelector)) return false;
+
+    item.parentNode.insertBefore(
+      item,
+      direction < 0 ? sibling : sibling.nextSibling,
+    );
+    return true;
+  }
+}
@@ -0,0 +1,30 @@
+import CONFIG from "../config.js";
+
+/**
+ * Utility class for debug logging
+ * Messages only reach the console while the debugLogging setting is on, so
+ * they can be left in place without cluttering ChatGPT's console
+ */
+class Logger {
+  static enabled = false;
+
+  /**
+   * Turns debug logging on or off
+   * @param {boolean} enabled - Whether debug messages are logged
+   */
+  static setEnabled(enabled) {
+    this.enabled = enabled === true;
+  }
+
+  /**
+   * Logs a debug message if debug logging is on
+   * @param {...*} args - What to log
+   */
+  static debug(...args) {
+    if (this.enabled) {
+      console.debug(CONFIG.SETTINGS.LOG_PREFIX, ...args);
+    }
+  }
+}
+
+export default Logger;
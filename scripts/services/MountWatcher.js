@@ -0,0 +1,55 @@
+import CONFIG from "../config.js";
+
+/**
+ * Class responsible for noticing when injected UI is removed from the page
+ * ChatGPT re-renders its sidebar without reloading, which throws away
+ * anything the extension added to it. DOM changes are checked at most once
+ * per CONFIG.TIMEOUTS.MOUNT_CHECK, so busy pages stay cheap to watch
+ */
+export class MountWatcher {
+  /**
+   * Creates a new MountWatcher instance
+   * @param {Object} options - Watcher options
+   * @param {Function} options.isMounted - Returns true while the UI is in the page
+   * @param {Function} options.onUnmount - Called after a DOM change while the UI is not in the page
+   */
+  constructor({ isMounted, onUnmount }) {
+    this.isMounted = isMounted;
+    this.onUnmount = onUnmount;
+    this.observer = null;
+    this.checkTimeout = null;
+  }
+
+  /**
+   * Starts watching the page for changes
+   */
+  start() {
+    if (this.observer) return;
+    this.observer = new MutationObserver(this.scheduleCheck);
+    this.observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  /**
+   * Stops watching the page
+   */
+  stop() {
+    this.observer?.disconnect();
+    this.observer = null;
+    clearTimeout(this.checkTimeout);
+    this.checkTimeout = null;
+  }
+
+  /**
+   * Batches DOM changes into one check
+   * @private
+   */
+  scheduleCheck = () => {
+    if (this.checkTimeout !== null) return;
+    this.checkTimeout = setTimeout(() => {
+      this.checkTimeout = null;
+      if (!this.isMounted()) {
+        this.onUnmount();
+      }
+    }, CONFIG.TIMEOUTS.MOUNT_CHECK);
+  };
+}
@@ -0,0 +1,277 @@
+import { SettingsStorage } from "./SettingsStorage.js";
+import { ValidationError } from "./errors.js";
+import DOMUtils from "./DOMUtils.js";
+import CONFIG from "../config.js";
+
+/**
+ * Class responsible for the options page
+ * Every field is saved as soon as it changes; open ChatGPT tabs pick the
+ * new value up from storage. Invalid values are not saved and the field
+ * shows the stored value again
+ */
+class OptionsUI {
+  /**
+   * Creates a new OptionsUI instance
+   * @param {Element} root - Element the page is rendered into
+   */
+  constructor(root) {
+    this.root = root;
+    this.settingsStorage = new SettingsStorage();
+    this.fields = {};
+    this.themeAccentButton = null;
+    this.status = null;
+    this.init();
+  }
+
+  /**
+   * Builds the page and fills in the stored settings
+   * @returns {Promise<void>}
+   */
+  async init() {
+    this.createLayout();
+
+    try {
+      this.renderSettings(await this.settingsStorage.load());
+      this.settingsStorage.watchForChanges(this.renderSettings);
+    } catch (error) {
+      console.error("Failed to load settings:", error);
+      this.setStatus(CONFIG.UI.SETTINGS_LOAD_ERROR);
+    }
+  }
+
+  /**
+   * Creates the settings sections
+   * @private
+   */
+  createLayout() {
+    const heading = DOMUtils.createElement("h1");
+    heading.textContent = CONFIG.UI.OPTIONS_TITLE;
+
+    const sectionTitle = DOMUtils.createElement("input");
+    sectionTitle.type = "text";
+    sectionTitle.required = true;
+    sectionTitle.maxLength = CONFIG.SETTINGS.SECTION_TITLE_MAX_LENGTH;
+    sectionTitle.placeholder = CONFIG.SETTINGS.DEFAULTS.sectionTitle;
+
+    const maxVisiblePins = DOMUtils.createElement("input");
+    maxVisiblePins.type = "number";
+    maxVisiblePins.required = true;
+    maxVisiblePins.min = CONFIG.SETTINGS.MIN_VISIBLE_PINS;
+    maxVisiblePins.max = CONFIG.SETTINGS.MAX_VISIBLE_PINS;
+    maxVisiblePins.step = 1;
+
+    const debugLogging = DOMUtils.createElement("input");
+    debugLogging.type = "checkbox";
+
+    const accentColor = DOMUtils.createElement("input");
+    accentColor.type = "color";
+
+    this.themeAccentButton = DOMUtils.createElement("button");
+    this.themeAccentButton.type = "button";
+    this.themeAccentButton.textContent = CONFIG.UI.USE_THEME_ACCENT;
+    this.themeAccentButton.addEventListener("click", this.handleUseThemeAccent);
+
+    this.fields = {
+      sectionTitle,
+      placement: this.createSelect(Object.values(CONFIG.SECTION_PLACEMENTS)),
+      maxVisiblePins,
+      newPinPosition: this.createSelect(Object.values(CONFIG.PIN_POSITIONS)),
+      pinButtons: this.createSelect(Object.values(CONFIG.PIN_BUTTON_MODES)),
+      accentColor,
+      debugLogging,
+    };
+    Object.entries(this.fields).forEach(([key, field]) => {
+      field.name = key;
+      field.addEventListener("change", () => this.handleFieldChange(key));
+    });
+
+    const resetButton = DOMUtils.createElement("button");
+    resetButton.type = "button";
+    resetButton.textContent = CONFIG.UI.SETTINGS_RESET;
+    resetButton.addEventListener("click", this.handleReset);
+
+    this.status = DOMUtils.createElement("p");
+    this.status.className = CONFIG.CLASSES.OPTIONS_STATUS;
+    this.status.setAttribute("role", "status");
+
+    this.root.append(
+      heading,
+      this.createSection(
+        CONFIG.UI.OPTIONS_SECTION,
+        CONFIG.UI.OPTIONS_SECTION_DESCRIPTION,
+        [
+          "sectionTitle",
+          "placement",
+          "maxVisiblePins",
+          "pinButtons",
+          "accentColor",
+        ],
+      ),
+      this.createSection(
+        CONFIG.UI.OPTIONS_BEHAVIOUR,
+        CONFIG.UI.OPTIONS_BEHAVIOUR_DESCRIPTION,
+        ["newPinPosition", "debugLogging"],
+      ),
+      resetButton,
+      this.status,
+    );
+  }
+
+  /**
+   * Creates a titled section of the page
+   * @param {string} title - The section title
+   * @param {string} description - Text shown below the title
+   * @param {string[]} keys - The settings shown in the section
+   * @returns {HTMLElement} The created section
+   * @private
+   */
+  createSection(title, description, keys) {
+    const section = DOMUtils.createElement("section");
+    const heading = DOMUtils.createElement("h2");
+    heading.textContent = title;
+    const text = DOMUtils.createElement("p");
+    text.textContent = description;
+    section.append(heading, text, ...keys.map((key) => this.createField(key)));
+    return section;
+  }
+
+  /**
+   * Wraps a setting's input in its label
+   * The accent colour also gets the button that hands it back to the theme
+   * @param {string} key - The setting name
+   * @returns {HTMLLabelElement} The labelled field
+   * @private
+   */
+  createField(key) {
+    const label = DOMUtils.createElement("label");
+    label.className = CONFIG.CLASSES.OPTIONS_FIELD;
+    const text = DOMUtils.createElement("span");
+    text.textContent = CONFIG.UI.SETTING_LABELS[key];
+    label.append(text, this.fields[key]);
+    if (key === "accentColor") {
+      label.append(this.themeAccentButton);
+    }
+    return label;
+  }
+
+  /**
+   * Creates a select for a setting with a fixed set of values
+   * @param {string[]} values - The allowed values
+   * @returns {HTMLSelectElement} The created select
+   * @private
+   */
+  createSelect(values) {
+    const select = DOMUtils.createElement("select");
+    values.forEach((value) => {
+      const option = DOMUtils.createElement("option");
+      option.value = value;
+      option.textContent = CONFIG.UI.SETTING_OPTIONS[value];
+      select.appendChild(option);
+    });
+    return select;
+  }
+
+  /**
+   * Shows settings in the form
+   * @param {Object} settings - The settings
+   * @private
+   */
+  renderSettings = (settings) => {
+    Object.entries(this.fields).forEach(([key, field]) => {
+      if (field.type === "checkbox") {
+        field.checked = settings[key];
+      } else if (field.type === "color") {
+        field.value = settings[key] ?? CONFIG.THEME.DEFAULT_ACCENT;
+      } else {
+        field.value = settings[key];
+      }
+    });
+    this.themeAccentButton.disabled = settings.accentColor === null;
+  };
+
+  /**
+   * Reads a setting's value from its field
+   * @param {string} key - The setting name
+   * @returns {*} The value, as stored
+   * @private
+   */
+  getFieldValue(key) {
+    const field = this.fields[key];
+    if (field.type === "checkbox") return field.checked;
+    if (field.type === "number") return field.valueAsNumber;
+    return field.value;
+  }
+
+  /**
+   * Saves a setting after its field changed
+   * @param {string} key - The setting name
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handleFieldChange(key) {
+    try {
+      this.renderSettings(
+        await this.settingsStorage.save({ [key]: this.getFieldValue(key) }),
+      );
+      this.setStatus(CONFIG.UI.SETTINGS_SAVED);
+    } catch (error) {
+      this.renderSettings(this.settingsStorage.getSettings());
+      if (error instanceof ValidationError) {
+        this.setStatus(
+          CONFIG.UI.SETTINGS_INVALID.replace(
+            "%s",
+            CONFIG.UI.SETTING_LABELS[key],
+          ),
+        );
+      } else {
+        console.error("Failed to save settings:", error);
+        this.setStatus(CONFIG.UI.SETTINGS_INVALID.replace("%s", error.message));
+      }
+    }
+  }
+
+  /**
+   * Lets the accent colour follow ChatGPT's theme again
+   * @param {MouseEvent} e - The click event
+   * @returns {Promise<void>}
+   * @private
+   */
+  handleUseThemeAccent = async (e) => {
+    e.preventDefault();
+    try {
+      this.renderSettings(
+        await this.settingsStorage.save({ accentColor: null }),
+      );
+      this.setStatus(CONFIG.UI.SETTINGS_SAVED);
+    } catch (error) {
+      console.error("Failed to save settings:", error);
+      this.setStatus(CONFIG.UI.SETTINGS_INVALID.replace("%s", error.message));
+    }
+  };
+
+  /**
+   * Puts every setting back to its default
+   * @returns {Promise<void>}
+   * @private
+   */
+  handleReset = async () => {
+    try {
+      this.renderSettings(await this.settingsStorage.reset());
+      this.setStatus(CONFIG.UI.SETTINGS_RESTORED);
+    } catch (error) {
+      console.error("Failed to reset settings:", error);
+      this.setStatus(CONFIG.UI.SETTINGS_INVALID.replace("%s", error.message));
+    }
+  };
+
+  /**
+   * Shows a message at the bottom of the page
+   * @param {string} text - The message
+   * @private
+   */
+  setStatus(text) {
+    this.status.textContent = text;
+  }
+}
+
+export default OptionsUI;
@@ -0,0 +1,374 @@
+import CONFIG from "../config.js";
+import { ValidationError } from "./errors.js";
+import { StorageSchema } from "./StorageSchema.js";
+import TabNavigator from "./TabNavigator.js";
+
+/**
+ * Pin fields that are compared, and resolved one by one, when an imported
+ * pin already exists
+ */
+export const CONFLICT_FIELDS = Object.freeze([
+  "title",
+  "alias",
+  "note",
+  "folderId",
+  "tagIds",
+]);
+
+/**
+ * Class responsible for turning pin documents into export files and back
+ * JSON exports carry the schema version so they can be imported by later
+ * versions; Markdown and CSV are export-only
+ */
+export class PinTransfer {
+  /**
+   * Serializes a pin document as a JSON export
+   * @param {Object} pinDocument - The pin document
+   * @returns {string} The file contents
+   */
+  static toJSON(pinDocument) {
+    return JSON.stringify(
+      {
+        format: CONFIG.EXPORT.FORMAT,
+        exportedAt: new Date().toISOString(),
+        ...pinDocument,
+      },
+      null,
+      2,
+    );
+  }
+
+  /**
+   * Serializes a pin document as a Markdown list of links
+   * Pins outside of folders come first, then one heading per folder
+   * @param {Object} pinDocument - The pin document
+   * @returns {string} The file contents
+   */
+  static toMarkdown(pinDocument) {
+    const lines = [`# ${CONFIG.SETTINGS.DEFAULTS.sectionTitle}`, ""];
+    const groups = [
+      { heading: null, pins: this.getPinsInFolder(pinDocument, null) },
+      ...this.getSortedRecords(pinDocument.folders).map((folder) => ({
+        heading: `## ${this.escapeMarkdown(folder.name)}`,
+        pins: this.getPinsInFolder(pinDocument, folder.id),
+      })),
+    ];
+
+    groups.forEach(({ heading, pins }) => {
+      if (heading) {
+        lines.push(heading, "");
+      }
+      pins.forEach((pin) => {
+        const title = this.escapeMarkdown(StorageSchema.getDisplayTitle(pin));
+        const url = TabNavigator.getConversationURL(pin);
+        const tags = this.getTagNames(pinDocument, pin).map(
+          (name) => ` \`${name.replaceAll("`", "'")}\``,
+        );
+        const note = pin.note
+          ? ` — ${this.escapeMarkdown(pin.note.replace(/\s+/g, " "))}`
+          : "";
+        lines.push(`- [${title}](${url})${note}${tags.join("")}`);
+      });
+      if (pins.length > 0) {
+        lines.push("");
+      }
+    });
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Serializes a pin document as CSV with one row per pin
+   * @param {Object} pinDocument - The pin document
+   * @returns {string} The file contents
+   */
+  static toCSV(pinDocument) {
+    const rows = this.getSortedRecords(pinDocument.pins).map((pin) => ({
+      url: TabNavigator.getConversationURL(pin),
+      title: pin.title,
+      alias: pin.alias,
+      note: pin.note,
+      folder: pinDocument.folders[pin.folderId]?.name,
+      tags: this.getTagNames(pinDocument, pin).join(", "),
+      pinnedAt: new Date(pin.pinnedAt).toISOString(),
+    }));
+
+    return [
+      CONFIG.EXPORT.CSV_COLUMNS.join(","),
+      ...rows.map((row) =>
+        CONFIG.EXPORT.CSV_COLUMNS.map((column) =>
+          this.escapeCSV(row[column]),
+        ).join(","),
+      ),
+    ].join("\r\n");
+  }
+
+  /**
+   * Reads a JSON export and upgrades it to the current schema
+   * Invalid records are dropped and counted rather than failing the import
+   * @param {string} text - The file contents
+   * @returns {{pinDocument: Object, skipped: number}} The imported document and the number of dropped records
+   * @throws {ValidationError} If the file is not a readable export
+   */
+  static parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new ValidationError(CONFIG.ERRORS.INVALID_IMPORT_FILE, {
+        originalError: error,
+      });
+    }
+    if (data?.format !== CONFIG.EXPORT.FORMAT) {
+      throw new ValidationError(CONFIG.ERRORS.INVALID_IMPORT_FILE);
+    }
+
+    const { format, exportedAt, ...exported } = data;
+    let sanitized;
+    try {
+      sanitized = StorageSchema.sanitize(StorageSchema.migrate(exported));
+    } catch (error) {
+      const message =
+        error.message === CONFIG.ERRORS.UNSUPPORTED_SCHEMA
+          ? CONFIG.ERRORS.UNSUPPORTED_IMPORT_VERSION
+          : CONFIG.ERRORS.INVALID_IMPORT_FILE;
+      throw new ValidationError(message, { originalError: error });
+    }
+
+    const { pinDocument, rejected } = sanitized;
+    const skipped = Object.values(rejected).reduce(
+      (count, records) => count + Object.keys(records).length,
+      0,
+    );
+    return { pinDocument, skipped };
+  }
+
+  /**
+   * Compares an imported document with the current one
+   * Folders and tags are matched by name first, since their IDs differ
+   * between browsers
+   * @param {Object} current - The current pin document
+   * @param {Object} incoming - The imported pin document
+   * @returns {{incoming: Object, added: Object[], conflicts: Array<{current: Object, incoming: Object, fields: string[]}>, unchanged: Object[], removed: Object[]}} The import plan
+   */
+  static createImportPlan(current, incoming) {
+    const aligned = this.alignReferences(current, incoming);
+    const added = [];
+    const conflicts = [];
+    const unchanged = [];
+
+    this.getSortedRecords(aligned.pins).forEach((pin) => {
+      const existing = current.pins[pin.id];
+      if (!existing) {
+        added.push(pin);
+        return;
+      }
+
+      const fields = CONFLICT_FIELDS.filter(
+        (field) => !this.isSameValue(existing[field], pin[field]),
+      );
+      if (fields.length > 0) {
+        conflicts.push({ current: existing, incoming: pin, fields });
+      } else {
+        unchanged.push(pin);
+      }
+    });
+
+    const removed = this.getSortedRecords(current.pins).filter(
+      ({ id }) => !(id in aligned.pins),
+    );
+    return { incoming: aligned, added, conflicts, unchanged, removed };
+  }
+
+  /**
+   * Builds the document that results from an import
+   * @param {Object} current - The current pin document
+   * @param {Object} plan - The plan from createImportPlan()
+   * @param {Object} options - Import options
+   * @param {string} options.mode - One of CONFIG.IMPORT_MODES
+   * @param {Object} [options.resolutions] - Per conversation ID, the side that wins each conflicting field; the current value is kept by default
+   * @returns {Object} The resulting pin document
+   */
+  static applyImportPlan(current, plan, { mode, resolutions = {} }) {
+    if (mode === CONFIG.IMPORT_MODES.REPLACE) {
+      return structuredClone(plan.incoming);
+    }
+
+    const result = structuredClone(current);
+    this.mergeRecords(result.folders, plan.incoming.folders);
+    this.mergeRecords(result.tags, plan.incoming.tags);
+    this.mergeRecords(result.pins, plan.incoming.pins);
+
+    plan.conflicts.forEach(({ incoming, fields }) => {
+      fields.forEach((field) => {
+        const resolution = resolutions[incoming.id]?.[field];
+        if (resolution === CONFIG.CONFLICT_RESOLUTIONS.INCOMING) {
+          result.pins[incoming.id][field] = structuredClone(incoming[field]);
+        }
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Adds the records missing from a map, after the existing ones
+   * @param {Object} target - Records to add to, keyed by ID
+   * @param {Object} source - Records to add, keyed by ID
+   * @private
+   */
+  static mergeRecords(target, source) {
+    const orders = Object.values(target).map(({ order }) => order);
+    let order = orders.length > 0 ? Math.max(...orders) + 1 : 0;
+
+    this.getSortedRecords(source).forEach((record) => {
+      if (!(record.id in target)) {
+        target[record.id] = { ...structuredClone(record), order: order++ };
+      }
+    });
+  }
+
+  /**
+   * Rewrites imported folder and tag IDs to the IDs of existing folders and
+   * tags with the same name
+   * @param {Object} current - The current pin document
+   * @param {Object} incoming - The imported pin document
+   * @returns {Object} A copy of the imported document
+   * @private
+   */
+  static alignReferences(current, incoming) {
+    const folderIds = this.mapIdsByName(
+      current.folders,
+      incoming.folders,
+      (name) => name,
+    );
+    const tagIds = this.mapIdsByName(current.tags, incoming.tags, (name) =>
+      name.toLowerCase(),
+    );
+
+    const aligned = structuredClone(incoming);
+    aligned.folders = this.renameKeys(aligned.folders, folderIds);
+    aligned.tags = this.renameKeys(aligned.tags, tagIds);
+    Object.values(aligned.pins).forEach((pin) => {
+      pin.folderId = folderIds.get(pin.folderId) ?? pin.folderId;
+      pin.tagIds = [
+        ...new Set(pin.tagIds.map((tagId) => tagIds.get(tagId) ?? tagId)),
+      ];
+    });
+    return aligned;
+  }
+
+  /**
+   * Maps imported record IDs to existing IDs of records with the same name
+   * @param {Object} currentRecords - Existing records, keyed by ID
+   * @param {Object} incomingRecords - Imported records, keyed by ID
+   * @param {Function} getKey - Turns a name into the key names are compared by
+   * @returns {Map<string, string>} Imported ID to existing ID
+   * @private
+   */
+  static mapIdsByName(currentRecords, incomingRecords, getKey) {
+    const idsByName = new Map(
+      Object.values(currentRecords).map(({ id, name }) => [getKey(name), id]),
+    );
+    const ids = new Map();
+    Object.values(incomingRecords).forEach(({ id, name }) => {
+      const existingId = idsByName.get(getKey(name));
+      if (existingId && existingId !== id) {
+        ids.set(id, existingId);
+      }
+    });
+    return ids;
+  }
+
+  /**
+   * Re-keys records whose ID was mapped to another one
+   * @param {Object} records - Records keyed by ID
+   * @param {Map<string, string>} ids - Old ID to new ID
+   * @returns {Object} The re-keyed records
+   * @private
+   */
+  static renameKeys(records, ids) {
+    const renamed = {};
+    Object.values(records).forEach((record) => {
+      const id = ids.get(record.id) ?? record.id;
+      renamed[id] = { ...record, id };
+    });
+    return renamed;
+  }
+
+  /**
+   * Compares two pin field values
+   * Tag lists are compared regardless of order
+   * @param {*} a - The first value
+   * @param {*} b - The second value
+   * @returns {boolean} True if the values are the same
+   * @private
+   */
+  static isSameValue(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every((value) => b.includes(value));
+    }
+    return a === b;
+  }
+
+  /**
+   * Gets records sorted by their order
+   * @param {Object} records - Records keyed by ID
+   * @returns {Object[]} The sorted records
+   * @private
+   */
+  static getSortedRecords(records) {
+    return Object.values(records).sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Gets the pins in a folder, in list order
+   * @param {Object} pinDocument - The pin document
+   * @param {string|null} folderId - The folder, or null for pins outside of folders
+   * @returns {Object[]} The pins
+   * @private
+   */
+  static getPinsInFolder(pinDocument, folderId) {
+    return this.getSortedRecords(pinDocument.pins).filter(
+      (pin) => pin.folderId === folderId,
+    );
+  }
+
+  /**
+   * Gets the names of the tags on a pin
+   * @param {Object} pinDocument - The pin document
+   * @param {Object} pin - The pin record
+   * @returns {string[]} The tag names
+   * @private
+   */
+  static getTagNames(pinDocument, pin) {
+    return pin.tagIds
+      .map((tagId) => pinDocument.tags[tagId]?.name)
+      .filter(Boolean);
+  }
+
+  /**
+   * Escapes characters that would change the meaning of Markdown text
+   * @param {string} text - The text to escape
+   * @returns {string} The escaped text
+   * @private
+   */
+  static escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]<>#|])/g, "\\$1");
+  }
+
+  /**
+   * Quotes a CSV value when needed
+   * Values that spreadsheets would run as formulas are prefixed with '
+   * @param {*} value - The value to write
+   * @returns {string} The CSV field
+   * @private
+   */
+  static escapeCSV(value) {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+  }
+}
@@ -0,0 +1,312 @@
+import { ChatHistoryStorage } from "./ChatHistoryStorage.js";
+import { SettingsStorage } from "./SettingsStorage.js";
+import { StorageSchema } from "./StorageSchema.js";
+import DOMUtils from "./DOMUtils.js";
+import FuzzyMatcher from "./FuzzyMatcher.js";
+import TabNavigator from "./TabNavigator.js";
+import { EDIT_ICON_SVG, UNPIN_ICON_SVG } from "./icons.js";
+import CONFIG from "../config.js";
+
+/**
+ * Class responsible for the toolbar popup
+ * Lists the pinned conversations from the same storage as the sidebar and
+ * lets the user search, open, rename and unpin them without visiting ChatGPT
+ */
+class PopupUI {
+  /**
+   * Creates a new PopupUI instance
+   * @param {Element} root - Element the popup is rendered into
+   */
+  constructor(root) {
+    this.root = root;
+    this.storageManager = new ChatHistoryStorage();
+    this.settingsStorage = new SettingsStorage();
+    this.searchQuery = "";
+    this.heading = null;
+    this.list = null;
+    this.message = null;
+    this.init();
+  }
+
+  /**
+   * Builds the popup and loads the pinned conversations
+   * @returns {Promise<void>}
+   */
+  async init() {
+    this.createLayout();
+
+    try {
+      const { sectionTitle } = await this.settingsStorage.load();
+      this.heading.textContent = sectionTitle;
+      this.list.setAttribute("aria-label", sectionTitle);
+    } catch (error) {
+      console.error("Failed to load settings:", error);
+    }
+
+    try {
+      await this.storageManager.init();
+      this.renderPinnedConversations();
+    } catch (error) {
+      console.error("Failed to load pinned conversations:", error);
+      this.showMessage(CONFIG.UI.POPUP_LOAD_ERROR);
+    }
+  }
+
+  /**
+   * Creates the heading, search input, list and message area
+   * @private
+   */
+  createLayout() {
+    const header = DOMUtils.createElement("header");
+    this.heading = DOMUtils.createElement("h1");
+    this.heading.textContent = CONFIG.SETTINGS.DEFAULTS.sectionTitle;
+    const searchInput = DOMUtils.createSearchInput({
+      placeholder: CONFIG.UI.SEARCH_PLACEHOLDER,
+      onSearch: this.handleSearch,
+    });
+    header.append(this.heading, searchInput);
+
+    this.list = DOMUtils.createElement("ol");
+    this.list.setAttribute("aria-label", CONFIG.SETTINGS.DEFAULTS.sectionTitle);
+
+    this.message = DOMUtils.createElement("p");
+    this.message.className = CONFIG.CLASSES.POPUP_MESSAGE;
+    this.message.hidden = true;
+
+    const footer = DOMUtils.createElement("footer");
+    const transferButton = DOMUtils.createElement("button");
+    transferButton.type = "button";
+    transferButton.textContent = CONFIG.UI.EXPORT_IMPORT;
+    transferButton.addEventListener("click", this.handleOpenTransferPage);
+    const settingsButton = DOMUtils.createElement("button");
+    settingsButton.type = "button";
+    settingsButton.textContent = CONFIG.UI.SETTINGS;
+    settingsButton.addEventListener("click", this.handleOpenOptionsPage);
+    footer.append(transferButton, settingsButton);
+
+    this.root.append(header, this.list, this.message, footer);
+    searchInput.focus();
+  }
+
+  /**
+   * Shows a message below the list, or hides it
+   * @param {string|null} text - The message, or null to hide it
+   * @private
+   */
+  showMessage(text) {
+    this.message.textContent = text ?? "";
+    this.message.hidden = !text;
+  }
+
+  /**
+   * Handles typing in the search input
+   * @param {string} query - The current search query
+   * @private
+   */
+  handleSearch = (query) => {
+    this.searchQuery = query.trim();
+    this.renderPinnedConversations();
+  };
+
+  /**
+   * Renders the pins matching the search query
+   * @private
+   */
+  renderPinnedConversations() {
+    const pins = this.storageManager.getPinnedConversations();
+    const folders = new Map(
+      this.storageManager.getFolders().map((folder) => [folder.id, folder]),
+    );
+    const tags = this.storageManager.getTags();
+
+    this.list.replaceChildren();
+    pins.forEach((pin) => {
+      const highlight = FuzzyMatcher.matchFields(this.searchQuery, [
+        StorageSchema.getDisplayTitle(pin),
+        pin.title,
+        pin.note,
+      ]);
+      if (!highlight) return;
+
+      this.list.appendChild(
+        this.createPinnedItem(pin, {
+          highlight,
+          folder: folders.get(pin.folderId),
+          tags: tags.filter(({ id }) => pin.tagIds.includes(id)),
+        }),
+      );
+    });
+
+    if (pins.length === 0) {
+      this.showMessage(CONFIG.UI.POPUP_EMPTY);
+    } else if (this.list.childElementCount === 0) {
+      this.showMessage(CONFIG.UI.POPUP_NO_MATCHES);
+    } else {
+      this.showMessage(null);
+    }
+  }
+
+  /**
+   * Creates the list item for a pin
+   * @param {Object} pin - The pin record
+   * @param {Object} details - What to show next to the name
+   * @param {number[]} details.highlight - Indices of name characters matching the search
+   * @param {Object} [details.folder] - The folder containing the pin
+   * @param {Object[]} details.tags - The tags put on the pin
+   * @returns {HTMLLIElement} The created item
+   * @private
+   */
+  createPinnedItem(pin, { highlight, folder, tags }) {
+    const displayTitle = StorageSchema.getDisplayTitle(pin);
+    const item = DOMUtils.createElement("li");
+    item.className = CONFIG.CLASSES.POPUP_ITEM;
+    item.setAttribute("data-conversation-id", pin.id);
+
+    const openButton = DOMUtils.createElement("button");
+    openButton.type = "button";
+    openButton.title = pin.note
+      ? `${displayTitle}\n${pin.note}`
+      : CONFIG.UI.OPEN_CONVERSATION;
+    openButton.addEventListener("click", () => this.handleOpen(pin));
+
+    const name = DOMUtils.createElement("span");
+    name.appendChild(DOMUtils.createHighlightedText(displayTitle, highlight));
+    openButton.appendChild(name);
+
+    if (folder || tags.length > 0) {
+      const details = DOMUtils.createElement("span");
+      details.className = CONFIG.CLASSES.POPUP_ITEM_DETAILS;
+      if (folder) {
+        details.append(folder.name);
+      }
+      if (tags.length > 0) {
+        details.appendChild(DOMUtils.createTagDots(tags));
+      }
+      openButton.appendChild(details);
+    }
+
+    const actions = DOMUtils.createElement("span");
+    actions.className = CONFIG.CLASSES.SECTION_ACTIONS;
+    actions.append(
+      DOMUtils.createButton({
+        className: CONFIG.CLASSES.ICON_BUTTON,
+        label: CONFIG.UI.RENAME_PIN,
+        innerHTML: EDIT_ICON_SVG,
+        onClick: () => this.startRename(item, pin),
+      }),
+      DOMUtils.createButton({
+        className: CONFIG.CLASSES.ICON_BUTTON,
+        label: CONFIG.UI.UNPIN,
+        innerHTML: UNPIN_ICON_SVG,
+        onClick: () => this.handleUnpin(pin.id),
+      }),
+    );
+
+    item.append(openButton, actions);
+    return item;
+  }
+
+  /**
+   * Opens a pinned conversation in a ChatGPT tab and closes the popup
+   * @param {Object} pin - The pin record
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handleOpen(pin) {
+    try {
+      await this.storageManager.markConversationOpened(pin.id);
+      // The popup closes next, before a delayed save would run
+      await this.storageManager.flush();
+      await TabNavigator.openConversation(pin);
+      window.close();
+    } catch (error) {
+      console.error("Failed to open pinned conversation:", error);
+    }
+  }
+
+  /**
+   * Opens the export and import page in a new tab
+   * @returns {Promise<void>}
+   * @private
+   */
+  handleOpenTransferPage = async () => {
+    await chrome.tabs.create({
+      url: chrome.runtime.getURL(CONFIG.PAGES.TRANSFER),
+    });
+    window.close();
+  };
+
+  /**
+   * Opens the options page
+   * @returns {Promise<void>}
+   * @private
+   */
+  handleOpenOptionsPage = async () => {
+    await chrome.runtime.openOptionsPage();
+    window.close();
+  };
+
+  /**
+   * Replaces a pin's name with an input for renaming it
+   * @param {Element} item - The pin's list item
+   * @param {Object} pin - The pin record
+   * @private
+   */
+  startRename(item, pin) {
+    const openButton = item.querySelector("button");
+    const input = DOMUtils.createInlineInput({
+      value: StorageSchema.getDisplayTitle(pin),
+      placeholder: pin.title,
+      maxLength: CONFIG.UI.ALIAS_MAX_LENGTH,
+      onSubmit: (value) => {
+        if (value.trim() === StorageSchema.getDisplayTitle(pin)) {
+          this.renderPinnedConversations();
+          return;
+        }
+        // Typing the original title back clears the alias
+        const alias = value.trim() === pin.title ? null : value;
+        this.savePinAlias(pin.id, alias);
+      },
+      onCancel: () => this.renderPinnedConversations(),
+    });
+
+    openButton.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Saves a pin's alias and re-renders the list
+   * @param {string} conversationId - The pinned conversation
+   * @param {string|null} alias - The new alias, or null to show the title
+   * @returns {Promise<void>}
+   * @private
+   */
+  async savePinAlias(conversationId, alias) {
+    try {
+      await this.storageManager.updateConversationDetails(conversationId, {
+        alias,
+      });
+    } catch (error) {
+      console.error("Failed to rename pinned conversation:", error);
+    }
+    this.renderPinnedConversations();
+  }
+
+  /**
+   * Unpins a conversation and re-renders the list
+   * @param {string} conversationId - The conversation to unpin
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handleUnpin(conversationId) {
+    try {
+      await this.storageManager.unpinConversation(conversationId);
+    } catch (error) {
+      console.error("Failed to unpin conversation:", error);
+    }
+    this.renderPinnedConversations();
+  }
+}
+
+export default PopupUI;
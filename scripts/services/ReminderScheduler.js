@@ -0,0 +1,137 @@
+import CONFIG from "../config.js";
+import { StorageSchema } from "./StorageSchema.js";
+import TabNavigator from "./TabNavigator.js";
+import Logger from "./Logger.js";
+
+/**
+ * Class responsible for turning pin reminders into notifications
+ * Content scripts cannot use chrome.alarms, so reminders are only stored
+ * where pins are edited, and the background worker keeps one alarm per
+ * pending reminder in step with storage. Chrome may drop alarms when the
+ * browser restarts, so reminders that came due meanwhile are notified on
+ * the next sync
+ */
+export class ReminderScheduler {
+  /**
+   * Creates a new ReminderScheduler instance
+   * @param {import("./ChatHistoryStorage.js").ChatHistoryStorage} storageManager - The initialized pin storage
+   */
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+  }
+
+  /**
+   * Gets the alarm and notification name of a pin's reminder
+   * @param {string} conversationId - The pinned conversation
+   * @returns {string} The alarm name
+   */
+  getAlarmName(conversationId) {
+    return `${CONFIG.REMINDERS.ALARM_PREFIX}${conversationId}`;
+  }
+
+  /**
+   * Gets the pinned conversation an alarm or notification belongs to
+   * @param {string} name - The alarm or notification name
+   * @returns {string|null} The conversation ID, or null if the name is not a reminder
+   */
+  getConversationId(name) {
+    return name.startsWith(CONFIG.REMINDERS.ALARM_PREFIX)
+      ? name.slice(CONFIG.REMINDERS.ALARM_PREFIX.length)
+      : null;
+  }
+
+  /**
+   * Gets a pin from storage
+   * @param {string} conversationId - The pinned conversation
+   * @returns {Object|undefined} The pin record
+   * @private
+   */
+  getPin(conversationId) {
+    return this.storageManager
+      .getPinnedConversations()
+      .find(({ id }) => id === conversationId);
+  }
+
+  /**
+   * Creates, moves and clears alarms so each pending reminder has one
+   * Reminders that are already due are notified straight away
+   * @returns {Promise<void>}
+   */
+  async syncAlarms() {
+    const alarms = new Map(
+      (await chrome.alarms.getAll())
+        .filter(({ name }) => this.getConversationId(name) !== null)
+        .map((alarm) => [alarm.name, alarm]),
+    );
+    const now = Date.now();
+
+    for (const pin of this.storageManager.getPinnedConversations()) {
+      const name = this.getAlarmName(pin.id);
+      const alarm = alarms.get(name);
+      alarms.delete(name);
+
+      if (!pin.reminder || pin.reminder.notifiedAt !== null) {
+        if (alarm) await chrome.alarms.clear(name);
+      } else if (StorageSchema.isReminderDue(pin, now)) {
+        await this.notify(pin);
+      } else if (alarm?.scheduledTime !== pin.reminder.remindAt) {
+        await chrome.alarms.create(name, { when: pin.reminder.remindAt });
+      }
+    }
+
+    // Alarms left over from unpinned conversations or cleared reminders
+    await Promise.all(
+      Array.from(alarms.keys(), (name) => chrome.alarms.clear(name)),
+    );
+  }
+
+  /**
+   * Notifies the user of the reminder an alarm was set for
+   * @param {chrome.alarms.Alarm} alarm - The alarm that went off
+   * @returns {Promise<void>}
+   */
+  async handleAlarm(alarm) {
+    const conversationId = this.getConversationId(alarm.name);
+    const pin = conversationId && this.getPin(conversationId);
+    if (!pin?.reminder || pin.reminder.notifiedAt !== null) return;
+    await this.notify(pin);
+  }
+
+  /**
+   * Shows the notification for a due reminder
+   * @param {Object} pin - The pin record
+   * @returns {Promise<void>}
+   * @private
+   */
+  async notify(pin) {
+    const name = this.getAlarmName(pin.id);
+    Logger.debug("Reminder due for", pin.id);
+    await chrome.notifications.create(name, {
+      type: "basic",
+      iconUrl: chrome.runtime.getURL(CONFIG.REMINDERS.ICON),
+      title: CONFIG.UI.REMINDER_NOTIFICATION_TITLE,
+      message: StorageSchema.getDisplayTitle(pin),
+      contextMessage: CONFIG.UI.REMINDER_NOTIFICATION_OPEN,
+      requireInteraction: true,
+    });
+    await chrome.alarms.clear(name);
+    await this.storageManager.markReminderNotified(pin.id);
+  }
+
+  /**
+   * Opens the conversation of a clicked reminder notification
+   * @param {string} notificationId - The clicked notification
+   * @returns {Promise<void>}
+   */
+  async handleNotificationClick(notificationId) {
+    const conversationId = this.getConversationId(notificationId);
+    if (conversationId === null) return;
+
+    await chrome.notifications.clear(notificationId);
+    const pin = this.getPin(conversationId);
+    if (!pin) return;
+
+    await TabNavigator.openConversation(pin);
+    await this.storageManager.markConversationOpened(pin.id);
+  }
+}
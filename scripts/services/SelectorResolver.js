@@ -0,0 +1,117 @@
+import CONFIG from "../config.js";
+import { DOMError } from "./errors.js";
+
+/**
+ * Class responsible for finding ChatGPT elements that have no stable selector
+ * Each element is described by an ordered list of strategies; the first one
+ * that matches wins and is recorded, so a fallback being used shows up before
+ * the last strategy stops working too
+ */
+export class SelectorResolver {
+  constructor() {
+    this.matchedStrategies = new Map();
+  }
+
+  /**
+   * Finds an element with the first strategy that matches
+   * Elements inside the pinned list are skipped, since pinned items are
+   * copies of ChatGPT's own elements
+   * @param {{name: string, strategies: Array<{strategy: string, selector: string}>}} target - An entry of CONFIG.SELECTOR_STRATEGIES
+   * @param {ParentNode} [root] - Where to search
+   * @returns {Element|null} The found element, or null if no strategy matched
+   */
+  resolve(target, root = document) {
+    return this.resolveAll(target, root)[0] ?? null;
+  }
+
+  /**
+   * Finds every element matched by the first strategy that matches at all
+   * Elements inside the pinned list are skipped, as in resolve()
+   * @param {{name: string, strategies: Array<{strategy: string, selector: string}>}} target - An entry of CONFIG.SELECTOR_STRATEGIES
+   * @param {ParentNode} [root] - Where to search
+   * @returns {Element[]} The found elements, empty if no strategy matched
+   */
+  resolveAll(target, root = document) {
+    for (const { strategy, selector } of target.strategies) {
+      let elements;
+      try {
+        elements = root.querySelectorAll(selector);
+      } catch {
+        // Selectors the browser does not support count as not matching
+        continue;
+      }
+
+      const matches = Array.from(elements).filter(
+        (candidate) => !candidate.closest(CONFIG.SELECTORS.PINNED_LIST),
+      );
+      if (matches.length > 0) {
+        this.recordMatch(target, strategy);
+        return matches;
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Waits until an element can be found
+   * @param {{name: string, strategies: Array<{strategy: string, selector: string}>}} target - An entry of CONFIG.SELECTOR_STRATEGIES
+   * @param {Object} [options] - Wait options
+   * @param {ParentNode} [options.root] - Where to search
+   * @param {number} [options.timeout] - Maximum time to wait in milliseconds
+   * @returns {Promise<Element>} The found element
+   * @throws {DOMError} If no strategy matched within the timeout
+   */
+  waitFor(
+    target,
+    { root = document, timeout = CONFIG.TIMEOUTS.ELEMENT_WAIT } = {},
+  ) {
+    return new Promise((resolve, reject) => {
+      let intervalId = null;
+      let timeoutId = null;
+      const check = () => {
+        const element = this.resolve(target, root);
+        if (!element) return false;
+        clearInterval(intervalId);
+        clearTimeout(timeoutId);
+        resolve(element);
+        return true;
+      };
+
+      if (check()) return;
+      intervalId = setInterval(check, CONFIG.TIMEOUTS.CHECK_INTERVAL);
+      timeoutId = setTimeout(() => {
+        clearInterval(intervalId);
+        this.matchedStrategies.set(target.name, null);
+        reject(
+          new DOMError(CONFIG.ERRORS.ELEMENT_NOT_FOUND, {
+            target: target.name,
+            strategies: target.strategies.map(({ strategy }) => strategy),
+          }),
+        );
+      }, timeout);
+    });
+  }
+
+  /**
+   * Gets the strategy that last matched each element
+   * @returns {Object<string, string|null>} Strategy names keyed by element name, null where nothing matched
+   */
+  getMatchedStrategies() {
+    return Object.fromEntries(this.matchedStrategies);
+  }
+
+  /**
+   * Remembers which strategy found an element
+   * Warns once whenever an element starts being found by a fallback
+   * @param {{name: string, strategies: Array<{strategy: string}>}} target - The resolved entry
+   * @param {string} strategy - The strategy that matched
+   * @private
+   */
+  recordMatch(target, strategy) {
+    const previous = this.matchedStrategies.get(target.name);
+    this.matchedStrategies.set(target.name, strategy);
+    if (previous !== strategy && strategy !== target.strategies[0].strategy) {
+      console.warn(CONFIG.ERRORS.SELECTOR_FALLBACK, target.name, strategy);
+    }
+  }
+}
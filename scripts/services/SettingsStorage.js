@@ -0,0 +1,203 @@
+import CONFIG from "../config.js";
+import { StorageError, ValidationError } from "./errors.js";
+
+/**
+ * Class responsible for the user settings in chrome.storage.sync
+ * Settings are stored as one object under CONFIG.SETTINGS.STORAGE_KEY.
+ * Anything missing or invalid in storage reads as its default from
+ * CONFIG.SETTINGS.DEFAULTS, so older and hand-edited data always loads
+ */
+export class SettingsStorage {
+  /**
+   * Creates a new SettingsStorage instance
+   * Call load() before reading the settings
+   */
+  constructor() {
+    this.settings = { ...CONFIG.SETTINGS.DEFAULTS };
+    this.onChange = null;
+  }
+
+  /**
+   * Checks a single setting value
+   * @param {string} key - The setting name
+   * @param {*} value - The value to check
+   * @returns {boolean} True if the value can be stored for the setting
+   */
+  static isValid(key, value) {
+    switch (key) {
+      case "sectionTitle":
+        return (
+          typeof value === "string" &&
+          value.trim().length > 0 &&
+          value.trim().length <= CONFIG.SETTINGS.SECTION_TITLE_MAX_LENGTH
+        );
+      case "placement":
+        return Object.values(CONFIG.SECTION_PLACEMENTS).includes(value);
+      case "maxVisiblePins":
+        return (
+          Number.isInteger(value) &&
+          value >= CONFIG.SETTINGS.MIN_VISIBLE_PINS &&
+          value <= CONFIG.SETTINGS.MAX_VISIBLE_PINS
+        );
+      case "newPinPosition":
+        return Object.values(CONFIG.PIN_POSITIONS).includes(value);
+      case "pinButtons":
+        return Object.values(CONFIG.PIN_BUTTON_MODES).includes(value);
+      case "debugLogging":
+        return typeof value === "boolean";
+      case "accentColor":
+        return (
+          value === null ||
+          (typeof value === "string" &&
+            CONFIG.SETTINGS.ACCENT_COLOR_PATTERN.test(value))
+        );
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Reads stored settings, using the default for every missing or invalid value
+   * @param {*} stored - The stored value
+   * @returns {Object} A complete settings object
+   */
+  static sanitize(stored) {
+    const settings = { ...CONFIG.SETTINGS.DEFAULTS };
+    if (!stored || typeof stored !== "object") return settings;
+
+    for (const key of Object.keys(settings)) {
+      if (this.isValid(key, stored[key])) {
+        settings[key] = stored[key];
+      }
+    }
+    return settings;
+  }
+
+  /**
+   * Checks changed settings and brings them into their stored form
+   * @param {Object} changes - The changed settings
+   * @returns {Object} The changes, with the section title trimmed and the accent colour in lower case
+   * @throws {ValidationError} If a setting is unknown or its value is invalid
+   */
+  static validate(changes) {
+    const validated = { ...changes };
+    if (typeof validated.sectionTitle === "string") {
+      validated.sectionTitle = validated.sectionTitle.trim();
+    }
+    if (typeof validated.accentColor === "string") {
+      validated.accentColor = validated.accentColor.toLowerCase();
+    }
+
+    for (const [key, value] of Object.entries(validated)) {
+      if (!(key in CONFIG.SETTINGS.DEFAULTS) || !this.isValid(key, value)) {
+        throw new ValidationError(`${CONFIG.ERRORS.INVALID_SETTING} ${key}`, {
+          key,
+          value,
+        });
+      }
+    }
+    return validated;
+  }
+
+  /**
+   * Loads the settings from chrome.storage.sync
+   * @returns {Promise<Object>} The settings
+   * @throws {StorageError} If there's an error accessing chrome.storage
+   */
+  async load() {
+    try {
+      const key = CONFIG.SETTINGS.STORAGE_KEY;
+      const { [key]: stored } = await chrome.storage.sync.get(key);
+      this.settings = SettingsStorage.sanitize(stored);
+      return this.getSettings();
+    } catch (error) {
+      throw new StorageError(CONFIG.ERRORS.STORAGE_ERROR, {
+        originalError: error,
+      });
+    }
+  }
+
+  /**
+   * Gets the loaded settings
+   * @returns {Object} A copy of the settings
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Validates and stores changed settings
+   * @param {Object} changes - The settings to change
+   * @returns {Promise<Object>} The settings after the change
+   * @throws {ValidationError} If a setting is unknown or its value is invalid
+   * @throws {StorageError} If there's an error saving to storage
+   */
+  async save(changes) {
+    const settings = { ...this.settings, ...SettingsStorage.validate(changes) };
+    try {
+      await chrome.storage.sync.set({
+        [CONFIG.SETTINGS.STORAGE_KEY]: settings,
+      });
+    } catch (error) {
+      throw new StorageError(CONFIG.ERRORS.STORAGE_ERROR, {
+        originalError: error,
+      });
+    }
+    this.settings = settings;
+    return this.getSettings();
+  }
+
+  /**
+   * Puts every setting back to its default
+   * @returns {Promise<Object>} The default settings
+   * @throws {StorageError} If there's an error accessing chrome.storage
+   */
+  async reset() {
+    try {
+      await chrome.storage.sync.remove(CONFIG.SETTINGS.STORAGE_KEY);
+    } catch (error) {
+      throw new StorageError(CONFIG.ERRORS.STORAGE_ERROR, {
+        originalError: error,
+      });
+    }
+    this.settings = { ...CONFIG.SETTINGS.DEFAULTS };
+    return this.getSettings();
+  }
+
+  /**
+   * Follows changes made to the settings on the options page or elsewhere
+   * @param {Function} onChange - Called with the new settings and the names of the changed ones
+   */
+  watchForChanges(onChange) {
+    this.onChange = onChange;
+    chrome.storage.onChanged.addListener(this.handleStorageChange);
+  }
+
+  /**
+   * Stops following changes made to the settings elsewhere
+   */
+  stopWatchingForChanges() {
+    chrome.storage.onChanged.removeListener(this.handleStorageChange);
+    this.onChange = null;
+  }
+
+  /**
+   * Takes over stored settings when they change
+   * @param {Object} changes - The changed keys
+   * @param {string} areaName - The storage area that changed
+   * @private
+   */
+  handleStorageChange = (changes, areaName) => {
+    const change = changes[CONFIG.SETTINGS.STORAGE_KEY];
+    if (!change || areaName !== CONFIG.STORAGE.AREAS.SYNC) return;
+
+    const previous = this.settings;
+    this.settings = SettingsStorage.sanitize(change.newValue);
+    const changedKeys = Object.keys(this.settings).filter(
+      (key) => this.settings[key] !== previous[key],
+    );
+    if (changedKeys.length > 0) {
+      this.onChange?.(this.getSettings(), changedKeys);
+    }
+  };
+}
@@ -0,0 +1,156 @@
+import CONFIG from "../config.js";
+import ConversationURL from "./ConversationURL.js";
+
+/**
+ * Class responsible for recognising pins to deleted or archived conversations
+ * A pin is stale when opening it ends on ChatGPT's "not found" state, or when
+ * the fully loaded sidebar history does not list it. The "not found" state is
+ * only recognised by its text in one of the languages in
+ * CONFIG.STALE_PINS.NOT_FOUND_TEXTS; a page without messages is never taken
+ * for it. Every check takes the document or element to look at, so it can be
+ * run against a saved page
+ */
+export class StalePinDetector {
+  /**
+   * Creates a new StalePinDetector instance
+   * @param {import("./SelectorResolver.js").SelectorResolver} selectorResolver - Finds the sidebar history items
+   */
+  constructor(selectorResolver) {
+    this.selectorResolver = selectorResolver;
+  }
+
+  /**
+   * Tells what the page shows for the open conversation
+   * Messages count first, so a conversation that merely mentions the
+   * not-found text is not mistaken for a missing one
+   * @param {ParentNode} [root] - The page to look at
+   * @returns {string|null} One of CONFIG.CONVERSATION_STATES, or null while the page shows neither
+   */
+  getConversationState(root = document) {
+    if (root.querySelector(CONFIG.SELECTORS.CONVERSATION_TURN)) {
+      return CONFIG.CONVERSATION_STATES.LOADED;
+    }
+
+    const notFoundTexts = Object.values(CONFIG.STALE_PINS.NOT_FOUND_TEXTS)
+      .flat()
+      .map((text) => text.toLowerCase());
+    const isNotFound = Array.from(
+      root.querySelectorAll(CONFIG.SELECTORS.NOT_FOUND_REGION),
+    ).some((region) => {
+      const text = region.textContent.toLowerCase();
+      return notFoundTexts.some((notFoundText) => text.includes(notFoundText));
+    });
+    return isNotFound ? CONFIG.CONVERSATION_STATES.NOT_FOUND : null;
+  }
+
+  /**
+   * Waits until the page shows the open conversation or its "not found" state
+   * @param {Object} [options] - Wait options
+   * @param {ParentNode} [options.root] - The page to look at
+   * @param {number} [options.timeout] - Maximum time to wait in milliseconds
+   * @returns {Promise<string|null>} CONFIG.CONVERSATION_STATES.LOADED or NOT_FOUND, or null if neither showed up in time
+   */
+  waitForConversationState({
+    root = document,
+    timeout = CONFIG.TIMEOUTS.STALE_CHECK,
+  } = {}) {
+    return new Promise((resolve) => {
+      const startedAt = Date.now();
+      let intervalId = null;
+      const check = () => {
+        const state = this.getConversationState(root);
+        if (!state && Date.now() - startedAt < timeout) return false;
+        clearInterval(intervalId);
+        resolve(state);
+        return true;
+      };
+
+      if (check()) return;
+      intervalId = setInterval(check, CONFIG.TIMEOUTS.STALE_CHECK_INTERVAL);
+    });
+  }
+
+  /**
+   * Gets the conversations the sidebar history lists
+   * @param {Element} container - The sidebar
+   * @returns {Set<string>} The listed conversation IDs
+   */
+  getListedConversationIds(container) {
+    const conversationIds = new Set();
+    this.selectorResolver
+      .resolveAll(CONFIG.SELECTOR_STRATEGIES.HISTORY_ITEM, container)
+      .forEach((item) => {
+        const link = item.querySelector(CONFIG.SELECTORS.CONVERSATION_LINK);
+        const conversation = ConversationURL.parse(link?.getAttribute("href"));
+        if (conversation) {
+          conversationIds.add(conversation.id);
+        }
+      });
+    return conversationIds;
+  }
+
+  /**
+   * Checks whether the sidebar has loaded its whole history
+   * ChatGPT loads older history while the sidebar is scrolled, so the history
+   * is complete once nothing is loading and the scrolling part of the sidebar
+   * either fits its content or is scrolled to the end. A sidebar that is not
+   * laid out, or has no scrolling part, cannot tell and counts as loading
+   * @param {Element} container - The sidebar
+   * @returns {boolean} True if every conversation is listed
+   */
+  isHistoryFullyLoaded(container) {
+    if (
+      container.getClientRects().length === 0 ||
+      container.querySelector(CONFIG.SELECTORS.HISTORY_LOADING)
+    ) {
+      return false;
+    }
+
+    const [firstItem] = this.selectorResolver.resolveAll(
+      CONFIG.SELECTOR_STRATEGIES.HISTORY_ITEM,
+      container,
+    );
+    if (!firstItem) return false;
+
+    const view = container.ownerDocument.defaultView;
+    for (
+      let element = firstItem.parentElement;
+      element && element !== container.parentElement;
+      element = element.parentElement
+    ) {
+      const { overflowY } = view.getComputedStyle(element);
+      if (overflowY === "auto" || overflowY === "scroll") {
+        return (
+          element.scrollTop + element.clientHeight >=
+          element.scrollHeight - CONFIG.STALE_PINS.HISTORY_END_MARGIN
+        );
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Finds pins the fully loaded sidebar history does not list
+   * Project conversations are skipped, since the history does not list them
+   * @param {Object[]} pins - The pin records
+   * @param {Element} container - The sidebar
+   * @returns {{missing: string[], listed: string[]}} IDs of pins missing from the history, empty until it is fully loaded, and of pins it lists
+   */
+  findMissingConversations(pins, container) {
+    const listedIds = this.getListedConversationIds(container);
+    const listed = pins
+      .filter(({ id }) => listedIds.has(id))
+      .map(({ id }) => id);
+    if (!this.isHistoryFullyLoaded(container)) {
+      return { missing: [], listed };
+    }
+
+    const missing = pins
+      .filter(
+        ({ id, route }) =>
+          !listedIds.has(id) && route?.type !== CONFIG.ROUTE_TYPES.PROJECT,
+      )
+      .map(({ id }) => id);
+    return { missing, listed };
+  }
+}
@@ -0,0 +1,561 @@
+import CONFIG from "../config.js";
+import { StorageError } from "./errors.js";
+import ConversationURL from "./ConversationURL.js";
+
+/**
+ * Current version of the stored pin document
+ */
+export const SCHEMA_VERSION = 10;
+
+/**
+ * Parts of the pin document that hold records keyed by their ID
+ */
+export const RECORD_COLLECTIONS = Object.freeze([
+  "pins",
+  "folders",
+  "tags",
+  "expired",
+]);
+
+/**
+ * Migration steps keyed by the version they upgrade from
+ * Each step receives a document of that version and returns the next one
+ */
+const MIGRATIONS = Object.freeze({
+  /**
+   * v1 stored a flat `{ [conversationId]: title }` map
+   * v2 wraps pins in a versioned document with one record per pin
+   */
+  1: (data) => {
+    const pinnedAt = Date.now();
+    const pins = {};
+    Object.entries(data).forEach(([id, title], order) => {
+      pins[id] = StorageSchema.createPinRecord({ id, title, pinnedAt, order });
+    });
+    return { version: 2, pins };
+  },
+
+  /**
+   * v3 adds user-created folders and a folder reference on every pin
+   */
+  2: (data) => {
+    const pins = {};
+    Object.entries(data.pins ?? {}).forEach(([id, record]) => {
+      pins[id] = { ...record, folderId: record?.folderId ?? null };
+    });
+    return { ...data, version: 3, pins, folders: {} };
+  },
+
+  /**
+   * v4 adds a local alias and a free-text note to every pin
+   */
+  3: (data) => {
+    const pins = {};
+    Object.entries(data.pins ?? {}).forEach(([id, record]) => {
+      pins[id] = {
+        ...record,
+        alias: record?.alias ?? null,
+        note: record?.note ?? null,
+      };
+    });
+    return { ...data, version: 4, pins };
+  },
+
+  /**
+   * v5 adds user-defined tags and the tags put on every pin
+   */
+  4: (data) => {
+    const pins = {};
+    Object.entries(data.pins ?? {}).forEach(([id, record]) => {
+      pins[id] = { ...record, tagIds: record?.tagIds ?? [] };
+    });
+    return { ...data, version: 5, pins, tags: {} };
+  },
+
+  /**
+   * v6 keys pins by the bare conversation ID instead of its "/c/<id>" path
+   * and keeps the custom GPT or project the conversation belongs to
+   * Keys that are not conversation paths are left for sanitize() to reject
+   */
+  5: (data) => {
+    const pins = {};
+    Object.entries(data.pins ?? {}).forEach(([path, record]) => {
+      const conversation = ConversationURL.parse(path);
+      if (!conversation) {
+        pins[path] = record;
+        return;
+      }
+      pins[conversation.id] ??= {
+        ...record,
+        id: conversation.id,
+        route: conversation.route,
+      };
+    });
+    return { ...data, version: 6, pins };
+  },
+
+  /**
+   * v7 records when a pin was found to point at a deleted or archived
+   * conversation
+   */
+  6: (data) => {
+    const pins = {};
+    Object.entries(data.pins ?? {}).forEach(([id, record]) => {
+      pins[id] = { ...record, staleAt: record?.staleAt ?? null };
+    });
+    return { ...data, version: 7, pins };
+  },
+
+  /**
+   * v8 adds bookmarks to individual messages of every pinned conversation
+   */
+  7: (data) => {
+    const pins = {};
+    Object.entries(data.pins ?? {}).forEach(([id, record]) => {
+      pins[id] = { ...record, bookmarks: record?.bookmarks ?? [] };
+    });
+    return { ...data, version: 8, pins };
+  },
+
+  /**
+   * v9 adds revisit reminders to pins
+   */
+  8: (data) => {
+    const pins = {};
+    Object.entries(data.pins ?? {}).forEach(([id, record]) => {
+      pins[id] = { ...record, reminder: record?.reminder ?? null };
+    });
+    return { ...data, version: 9, pins };
+  },
+
+  /**
+   * v10 adds an expiry to pins, and keeps expired pins for a grace period
+   */
+  9: (data) => {
+    const pins = {};
+    Object.entries(data.pins ?? {}).forEach(([id, record]) => {
+      pins[id] = { ...record, expiresAt: record?.expiresAt ?? null };
+    });
+    return { ...data, version: 10, pins, expired: {} };
+  },
+});
+
+/**
+ * Class describing the stored pin document and how to upgrade it
+ * Every version change gets a step in MIGRATIONS so old data is upgraded
+ * one version at a time
+ */
+export class StorageSchema {
+  /**
+   * Creates an empty document of the current version
+   * @returns {{version: number, pins: Object, folders: Object, tags: Object, expired: Object}} The empty document
+   */
+  static createEmptyDocument() {
+    return {
+      version: SCHEMA_VERSION,
+      pins: {},
+      folders: {},
+      tags: {},
+      expired: {},
+    };
+  }
+
+  /**
+   * Creates a pin record
+   * Fields not listed here are kept as-is so newer versions can add metadata
+   * @param {Object} fields - Pin fields
+   * @param {string} fields.id - The conversation ID
+   * @param {string} fields.title - The conversation title
+   * @param {{type: string, gizmoId: string, slug: string|null}|null} [fields.route] - The custom GPT or project the conversation belongs to
+   * @param {number} [fields.pinnedAt] - When the conversation was pinned
+   * @param {number|null} [fields.lastOpenedAt] - When the pin was last opened
+   * @param {number} [fields.order] - Position in the pinned list
+   * @param {string|null} [fields.folderId] - The folder containing the pin
+   * @param {string|null} [fields.alias] - Name shown instead of the title
+   * @param {string|null} [fields.note] - Free-text note about the pin
+   * @param {string[]} [fields.tagIds] - Tags put on the pin
+   * @param {number|null} [fields.staleAt] - When the conversation was found to be deleted or archived
+   * @param {Object[]} [fields.bookmarks] - Bookmarked messages, as created by createBookmarkRecord()
+   * @param {{remindAt: number, notifiedAt: number|null}|null} [fields.reminder] - When to remind the user to revisit the conversation
+   * @param {number|null} [fields.expiresAt] - When the pin expires, or null to keep it
+   * @returns {Object} The pin record
+   */
+  static createPinRecord({
+    id,
+    title,
+    route = null,
+    pinnedAt = Date.now(),
+    lastOpenedAt = null,
+    order = 0,
+    folderId = null,
+    alias = null,
+    note = null,
+    tagIds = [],
+    staleAt = null,
+    bookmarks = [],
+    reminder = null,
+    expiresAt = null,
+    ...rest
+  }) {
+    return {
+      ...rest,
+      id,
+      title,
+      route,
+      pinnedAt,
+      lastOpenedAt,
+      order,
+      folderId,
+      alias,
+      note,
+      tagIds,
+      staleAt,
+      bookmarks,
+      reminder,
+      expiresAt,
+    };
+  }
+
+  /**
+   * Creates a bookmark to a message of a pinned conversation
+   * @param {Object} fields - Bookmark fields
+   * @param {string} fields.messageId - ChatGPT's ID of the message, used to find it on the page
+   * @param {string} fields.snippet - The start of the message text
+   * @param {number} [fields.createdAt] - When the message was bookmarked
+   * @returns {Object} The bookmark record
+   */
+  static createBookmarkRecord({
+    messageId,
+    snippet,
+    createdAt = Date.now(),
+    ...rest
+  }) {
+    return { ...rest, messageId, snippet, createdAt };
+  }
+
+  /**
+   * Gets the name a pin is shown with
+   * @param {Object} record - The pin record
+   * @returns {string} The alias if one is set, otherwise the conversation title
+   */
+  static getDisplayTitle(record) {
+    return record.alias || record.title;
+  }
+
+  /**
+   * Creates a folder record
+   * @param {Object} fields - Folder fields
+   * @param {string} fields.id - The folder ID
+   * @param {string} fields.name - The folder name
+   * @param {number} [fields.order] - Position among the folders
+   * @param {boolean} [fields.collapsed] - Whether the folder is collapsed
+   * @param {number} [fields.createdAt] - When the folder was created
+   * @returns {Object} The folder record
+   */
+  static createFolderRecord({
+    id,
+    name,
+    order = 0,
+    collapsed = false,
+    createdAt = Date.now(),
+    ...rest
+  }) {
+    return { ...rest, id, name, order, collapsed, createdAt };
+  }
+
+  /**
+   * Creates a tag record
+   * @param {Object} fields - Tag fields
+   * @param {string} fields.id - The tag ID
+   * @param {string} fields.name - The tag name
+   * @param {string} fields.color - The tag colour as a #rrggbb hex value
+   * @param {number} [fields.order] - Position in the tag bar
+   * @param {number} [fields.createdAt] - When the tag was created
+   * @returns {Object} The tag record
+   */
+  static createTagRecord({
+    id,
+    name,
+    color,
+    order = 0,
+    createdAt = Date.now(),
+    ...rest
+  }) {
+    return { ...rest, id, name, color, order, createdAt };
+  }
+
+  /**
+   * Detects the version of a stored document
+   * @param {*} data - The stored value
+   * @returns {number} The document version
+   * @throws {StorageError} If the value is not a pin document
+   */
+  static detectVersion(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new StorageError(CONFIG.ERRORS.CORRUPT_DATA);
+    }
+    if (!("version" in data)) {
+      return 1;
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      throw new StorageError(CONFIG.ERRORS.CORRUPT_DATA);
+    }
+    return data.version;
+  }
+
+  /**
+   * Upgrades a stored document to the current version step by step
+   * @param {*} data - The stored value
+   * @returns {{version: number, pins: Object}} The upgraded document
+   * @throws {StorageError} If the document cannot be upgraded
+   */
+  static migrate(data) {
+    let version = this.detectVersion(data);
+    if (version > SCHEMA_VERSION) {
+      throw new StorageError(CONFIG.ERRORS.UNSUPPORTED_SCHEMA, { version });
+    }
+
+    let pinDocument = data;
+    while (version < SCHEMA_VERSION) {
+      pinDocument = MIGRATIONS[version](pinDocument);
+      version = this.detectVersion(pinDocument);
+    }
+    return pinDocument;
+  }
+
+  /**
+   * Checks whether a pin record is complete and well formed
+   * @param {string} id - The key the record is stored under
+   * @param {*} record - The pin record
+   * @returns {boolean} True if the record is valid
+   */
+  static isValidPinRecord(id, record) {
+    return (
+      !!record &&
+      typeof record === "object" &&
+      record.id === id &&
+      CONFIG.URL.CONVERSATION_ID_PATTERN.test(id) &&
+      this.isValidRoute(record.route) &&
+      typeof record.title === "string" &&
+      record.title.length > 0 &&
+      Number.isFinite(record.pinnedAt) &&
+      (record.lastOpenedAt === null || Number.isFinite(record.lastOpenedAt)) &&
+      Number.isFinite(record.order) &&
+      (record.folderId === null || typeof record.folderId === "string") &&
+      (record.alias === null || typeof record.alias === "string") &&
+      (record.note === null || typeof record.note === "string") &&
+      Array.isArray(record.tagIds) &&
+      record.tagIds.every((tagId) => typeof tagId === "string") &&
+      (record.staleAt === null || Number.isFinite(record.staleAt)) &&
+      Array.isArray(record.bookmarks) &&
+      record.bookmarks.every((bookmark) => this.isValidBookmark(bookmark)) &&
+      (record.reminder === null || this.isValidReminder(record.reminder)) &&
+      (record.expiresAt === null || Number.isFinite(record.expiresAt))
+    );
+  }
+
+  /**
+   * Checks whether an expired pin is complete and well formed
+   * @param {string} id - The key the record is stored under
+   * @param {*} record - The expired pin record
+   * @returns {boolean} True if the record is valid
+   */
+  static isValidExpiredRecord(id, record) {
+    return (
+      this.isValidPinRecord(id, record) && Number.isFinite(record.expiredAt)
+    );
+  }
+
+  /**
+   * Checks whether a pin's expiry time has come
+   * @param {Object} pin - The pin record
+   * @param {number} [now] - The current time
+   * @returns {boolean} True if the pin has expired
+   */
+  static isExpired(pin, now = Date.now()) {
+    return pin.expiresAt !== null && pin.expiresAt <= now;
+  }
+
+  /**
+   * Checks whether a pin's reminder is well formed
+   * @param {*} reminder - The reminder
+   * @returns {boolean} True if the reminder is valid
+   */
+  static isValidReminder(reminder) {
+    return (
+      !!reminder &&
+      typeof reminder === "object" &&
+      Number.isFinite(reminder.remindAt) &&
+      (reminder.notifiedAt === null || Number.isFinite(reminder.notifiedAt))
+    );
+  }
+
+  /**
+   * Checks whether a pin's reminder time has come
+   * @param {Object} pin - The pin record
+   * @param {number} [now] - The current time
+   * @returns {boolean} True if the pin has a reminder that is due
+   */
+  static isReminderDue(pin, now = Date.now()) {
+    return !!pin.reminder && pin.reminder.remindAt <= now;
+  }
+
+  /**
+   * Checks whether a message bookmark is complete and well formed
+   * @param {*} bookmark - The bookmark record
+   * @returns {boolean} True if the bookmark is valid
+   */
+  static isValidBookmark(bookmark) {
+    return (
+      !!bookmark &&
+      typeof bookmark === "object" &&
+      typeof bookmark.messageId === "string" &&
+      CONFIG.BOOKMARKS.MESSAGE_ID_PATTERN.test(bookmark.messageId) &&
+      typeof bookmark.snippet === "string" &&
+      Number.isFinite(bookmark.createdAt)
+    );
+  }
+
+  /**
+   * Checks whether a pin's route context is well formed
+   * @param {*} route - The route context
+   * @returns {boolean} True if the route is null or a valid route
+   */
+  static isValidRoute(route) {
+    return (
+      route === null ||
+      (!!route &&
+        typeof route === "object" &&
+        Object.values(CONFIG.ROUTE_TYPES).includes(route.type) &&
+        typeof route.gizmoId === "string" &&
+        route.gizmoId.length > 0 &&
+        (route.slug === null || typeof route.slug === "string"))
+    );
+  }
+
+  /**
+   * Checks whether a tag record is complete and well formed
+   * @param {string} id - The key the record is stored under
+   * @param {*} record - The tag record
+   * @returns {boolean} True if the record is valid
+   */
+  static isValidTagRecord(id, record) {
+    return (
+      !!record &&
+      typeof record === "object" &&
+      record.id === id &&
+      typeof record.name === "string" &&
+      record.name.length > 0 &&
+      CONFIG.UI.TAG_COLOR_PATTERN.test(record.color) &&
+      Number.isFinite(record.order)
+    );
+  }
+
+  /**
+   * Checks whether a folder record is complete and well formed
+   * @param {string} id - The key the record is stored under
+   * @param {*} record - The folder record
+   * @returns {boolean} True if the record is valid
+   */
+  static isValidFolderRecord(id, record) {
+    return (
+      !!record &&
+      typeof record === "object" &&
+      record.id === id &&
+      typeof record.name === "string" &&
+      record.name.length > 0 &&
+      Number.isFinite(record.order) &&
+      typeof record.collapsed === "boolean"
+    );
+  }
+
+  /**
+   * Splits a map of records into valid and rejected records
+   * @param {*} records - The stored records, keyed by ID
+   * @param {Function} isValid - Validator called with (id, record)
+   * @returns {{valid: Object, rejected: Object}} The split records
+   * @throws {StorageError} If the value is not a map of records
+   * @private
+   */
+  static partitionRecords(records, isValid) {
+    if (!records || typeof records !== "object" || Array.isArray(records)) {
+      throw new StorageError(CONFIG.ERRORS.CORRUPT_DATA);
+    }
+
+    const valid = {};
+    const rejected = {};
+    Object.entries(records).forEach(([id, record]) => {
+      if (isValid(id, record)) {
+        valid[id] = record;
+      } else {
+        rejected[id] = record;
+      }
+    });
+    return { valid, rejected };
+  }
+
+  /**
+   * Splits a current-version document into valid records and rejected ones
+   * Pins pointing at a folder or tag that no longer exists are repaired, and
+   * expired copies of conversations that are pinned again are dropped
+   * @param {{version: number, pins: Object, folders: Object, tags: Object, expired: Object}} pinDocument - The document to check
+   * @returns {{pinDocument: Object, rejected: {pins: Object, folders: Object, tags: Object, expired: Object}}} The valid document and the records that were dropped
+   * @throws {StorageError} If the document has no pins, folders, tags or expired map
+   */
+  static sanitize(pinDocument) {
+    const pins = this.partitionRecords(pinDocument.pins, (id, record) =>
+      this.isValidPinRecord(id, record),
+    );
+    const folders = this.partitionRecords(pinDocument.folders, (id, record) =>
+      this.isValidFolderRecord(id, record),
+    );
+    const tags = this.partitionRecords(pinDocument.tags, (id, record) =>
+      this.isValidTagRecord(id, record),
+    );
+    const expired = this.partitionRecords(pinDocument.expired, (id, record) =>
+      this.isValidExpiredRecord(id, record),
+    );
+    Object.keys(expired.valid)
+      .filter((id) => id in pins.valid)
+      .forEach((id) => delete expired.valid[id]);
+
+    Object.values(pins.valid).forEach((record) => {
+      const folderId =
+        record.folderId in folders.valid ? record.folderId : null;
+      const tagIds = record.tagIds.filter((tagId) => tagId in tags.valid);
+      if (
+        folderId !== record.folderId ||
+        tagIds.length !== record.tagIds.length
+      ) {
+        pins.valid[record.id] = { ...record, folderId, tagIds };
+      }
+    });
+
+    return {
+      pinDocument: {
+        ...pinDocument,
+        pins: pins.valid,
+        folders: folders.valid,
+        tags: tags.valid,
+        expired: expired.valid,
+      },
+      rejected: {
+        pins: pins.rejected,
+        folders: folders.rejected,
+        tags: tags.rejected,
+        expired: expired.rejected,
+      },
+    };
+  }
+
+  /**
+   * Checks whether sanitize() dropped any records
+   * @param {{pins: Object, folders: Object}} rejected - The rejected records
+   * @returns {boolean} True if at least one record was dropped
+   */
+  static hasRejectedRecords(rejected) {
+    return Object.values(rejected).some(
+      (records) => Object.keys(records).length > 0,
+    );
+  }
+}
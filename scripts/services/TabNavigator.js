@@ -0,0 +1,42 @@
+import CONFIG from "../config.js";
+import ConversationURL from "./ConversationURL.js";
+
+/**
+ * Utility class for opening conversations from extension pages
+ * Used where there is no ChatGPT sidebar to click, such as the popup
+ */
+class TabNavigator {
+  /**
+   * Builds the full URL of a conversation
+   * @param {{id: string, route?: Object|null}} pin - The pin record
+   * @returns {string} The conversation URL
+   */
+  static getConversationURL(pin) {
+    return ConversationURL.getURL(pin);
+  }
+
+  /**
+   * Focuses a tab that already shows the conversation, or opens a new one
+   * Tabs on any ChatGPT domain and under any route to the conversation count
+   * @param {{id: string, route?: Object|null}} pin - The pin record
+   * @returns {Promise<chrome.tabs.Tab>} The focused or created tab
+   */
+  static async openConversation(pin) {
+    const tabs = await chrome.tabs.query({
+      url: CONFIG.URL.ORIGINS.map((origin) => `${origin}/*`),
+    });
+    const tab = tabs.find(
+      ({ url }) => ConversationURL.parse(url)?.id === pin.id,
+    );
+
+    if (!tab) {
+      return chrome.tabs.create({ url: this.getConversationURL(pin) });
+    }
+
+    await chrome.tabs.update(tab.id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+    return tab;
+  }
+}
+
+export default TabNavigator;
@@ -0,0 +1,144 @@
+import CONFIG from "../config.js";
+import ConversationURL from "./ConversationURL.js";
+
+/**
+ * Class responsible for noticing conversations being renamed in ChatGPT
+ * Titles are read from the sidebar history and, for the open conversation,
+ * from the page title. Changes are batched into one scan per
+ * CONFIG.TIMEOUTS.TITLE_SYNC, and changes inside the pinned list are ignored.
+ * Scrolling the sidebar scans too, since it can reveal the end of the history
+ */
+export class TitleWatcher {
+  /**
+   * Creates a new TitleWatcher instance
+   * @param {Object} options - Watcher options
+   * @param {import("./SelectorResolver.js").SelectorResolver} options.selectorResolver - Finds the sidebar history items
+   * @param {Function} options.onTitles - Called with a Map of conversation IDs to their current titles
+   */
+  constructor({ selectorResolver, onTitles }) {
+    this.selectorResolver = selectorResolver;
+    this.onTitles = onTitles;
+    this.container = null;
+    this.observer = null;
+    this.scanTimeout = null;
+    this.pageTitlePath = null;
+  }
+
+  /**
+   * Starts watching a sidebar and the page title
+   * @param {Element} container - The sidebar containing the history items
+   */
+  start(container) {
+    this.stop();
+    this.container = container;
+    this.observer = new MutationObserver(this.handleMutations);
+    container.addEventListener("scroll", this.scheduleScan, {
+      capture: true,
+      passive: true,
+    });
+    this.observer.observe(container, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ["title"],
+    });
+
+    const titleElement = document.querySelector("title");
+    if (titleElement) {
+      this.observer.observe(titleElement, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+      });
+    }
+    this.scheduleScan();
+  }
+
+  /**
+   * Stops watching
+   */
+  stop() {
+    this.container?.removeEventListener("scroll", this.scheduleScan, {
+      capture: true,
+    });
+    this.observer?.disconnect();
+    this.observer = null;
+    this.container = null;
+    clearTimeout(this.scanTimeout);
+    this.scanTimeout = null;
+  }
+
+  /**
+   * Schedules a scan for changes outside the pinned list
+   * The page title only counts once it has changed on the current path, so
+   * the previous conversation's title is not read during a navigation
+   * @param {MutationRecord[]} records - The observed changes
+   * @private
+   */
+  handleMutations = (records) => {
+    const elements = records.map(({ target }) =>
+      target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement,
+    );
+    if (elements.some((element) => element?.closest("title"))) {
+      this.pageTitlePath = location.pathname;
+    }
+    if (
+      elements.every((element) =>
+        element?.closest(CONFIG.SELECTORS.PINNED_LIST),
+      )
+    ) {
+      return;
+    }
+    this.scheduleScan();
+  };
+
+  /**
+   * Batches changes into one scan
+   * @private
+   */
+  scheduleScan = () => {
+    if (this.scanTimeout !== null) return;
+    this.scanTimeout = setTimeout(() => {
+      this.scanTimeout = null;
+      const titles = this.getTitles();
+      if (titles.size > 0) {
+        this.onTitles(titles);
+      }
+    }, CONFIG.TIMEOUTS.TITLE_SYNC);
+  };
+
+  /**
+   * Reads the titles ChatGPT currently shows
+   * The sidebar wins over the page title when it lists the open conversation
+   * @returns {Map<string, string>} Titles keyed by conversation ID
+   */
+  getTitles() {
+    const titles = new Map();
+    if (!this.container) return titles;
+
+    this.selectorResolver
+      .resolveAll(CONFIG.SELECTOR_STRATEGIES.HISTORY_ITEM, this.container)
+      .forEach((item) => {
+        const link = item.querySelector(CONFIG.SELECTORS.CONVERSATION_LINK);
+        const conversation = ConversationURL.parse(link?.getAttribute("href"));
+        const title = link?.firstElementChild?.textContent.trim();
+        if (conversation && title) {
+          titles.set(conversation.id, title);
+        }
+      });
+
+    const current = ConversationURL.parse(location.pathname);
+    const pageTitle = document.title.trim();
+    if (
+      current &&
+      !titles.has(current.id) &&
+      this.pageTitlePath === location.pathname &&
+      pageTitle &&
+      pageTitle !== CONFIG.UI.CHATGPT_PAGE_TITLE
+    ) {
+      titles.set(current.id, pageTitle);
+    }
+    return titles;
+  }
+}
@@ -0,0 +1,401 @@
+import { ChatHistoryStorage } from "./ChatHistoryStorage.js";
+import { PinTransfer } from "./PinTransfer.js";
+import { StorageSchema } from "./StorageSchema.js";
+import DOMUtils from "./DOMUtils.js";
+import CONFIG from "../config.js";
+
+/**
+ * Class responsible for the export and import page
+ * Exports download a file; imports are previewed and only written once the
+ * user has chosen how to combine them with the existing pins. The preview
+ * follows pins changed in other tabs meanwhile
+ */
+class TransferUI {
+  /**
+   * Creates a new TransferUI instance
+   * @param {Element} root - Element the page is rendered into
+   */
+  constructor(root) {
+    this.root = root;
+    this.storageManager = new ChatHistoryStorage();
+    this.importedDocument = null;
+    this.plan = null;
+    this.skipped = 0;
+    this.mode = CONFIG.IMPORT_MODES.MERGE;
+    this.resolutions = {};
+    this.fileInput = null;
+    this.preview = null;
+    this.status = null;
+    this.init();
+  }
+
+  /**
+   * Builds the page and loads the pinned conversations
+   * @returns {Promise<void>}
+   */
+  async init() {
+    this.createLayout();
+
+    try {
+      await this.storageManager.init();
+      this.storageManager.watchForChanges(this.handleStoredPinsChange);
+    } catch (error) {
+      console.error("Failed to load pinned conversations:", error);
+      this.setStatus(CONFIG.UI.POPUP_LOAD_ERROR);
+    }
+  }
+
+  /**
+   * Creates the export and import sections
+   * @private
+   */
+  createLayout() {
+    const heading = DOMUtils.createElement("h1");
+    heading.textContent = CONFIG.UI.TRANSFER_TITLE;
+
+    const exportButtons = [
+      [CONFIG.UI.EXPORT_JSON, "json", "application/json", PinTransfer.toJSON],
+      [
+        CONFIG.UI.EXPORT_MARKDOWN,
+        "md",
+        "text/markdown",
+        PinTransfer.toMarkdown,
+      ],
+      [CONFIG.UI.EXPORT_CSV, "csv", "text/csv", PinTransfer.toCSV],
+    ].map(([label, extension, type, serialize]) =>
+      this.createButton(label, () =>
+        this.handleExport(serialize.bind(PinTransfer), extension, type),
+      ),
+    );
+
+    this.fileInput = DOMUtils.createElement("input");
+    this.fileInput.type = "file";
+    this.fileInput.accept = ".json,application/json";
+    this.fileInput.setAttribute("aria-label", CONFIG.UI.IMPORT);
+    this.fileInput.addEventListener("change", this.handleFileSelected);
+
+    this.preview = DOMUtils.createElement("div");
+    this.preview.hidden = true;
+
+    this.status = DOMUtils.createElement("p");
+    this.status.className = CONFIG.CLASSES.TRANSFER_STATUS;
+    this.status.setAttribute("role", "status");
+
+    this.root.append(
+      heading,
+      this.createSection(
+        CONFIG.UI.EXPORT,
+        CONFIG.UI.EXPORT_DESCRIPTION,
+        exportButtons,
+      ),
+      this.createSection(CONFIG.UI.IMPORT, CONFIG.UI.IMPORT_DESCRIPTION, [
+        this.fileInput,
+        this.preview,
+      ]),
+      this.status,
+    );
+  }
+
+  /**
+   * Creates a titled section of the page
+   * @param {string} title - The section title
+   * @param {string} description - Text shown below the title
+   * @param {Element[]} children - The section content
+   * @returns {HTMLElement} The created section
+   * @private
+   */
+  createSection(title, description, children) {
+    const section = DOMUtils.createElement("section");
+    const heading = DOMUtils.createElement("h2");
+    heading.textContent = title;
+    const text = DOMUtils.createElement("p");
+    text.textContent = description;
+    section.append(heading, text, ...children);
+    return section;
+  }
+
+  /**
+   * Creates a text button
+   * @param {string} label - The button text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} The created button
+   * @private
+   */
+  createButton(label, onClick) {
+    const button = DOMUtils.createElement("button");
+    button.type = "button";
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  /**
+   * Shows a message at the bottom of the page
+   * @param {string} text - The message
+   * @private
+   */
+  setStatus(text) {
+    this.status.textContent = text;
+  }
+
+  /**
+   * Downloads all pins in one of the export formats
+   * @param {Function} serialize - Turns the pin document into file contents
+   * @param {string} extension - The file extension
+   * @param {string} type - The file MIME type
+   * @private
+   */
+  handleExport(serialize, extension, type) {
+    const contents = serialize(this.storageManager.getDocument());
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const date = new Date().toISOString().slice(0, 10);
+
+    const link = DOMUtils.createElement("a");
+    link.href = url;
+    link.download = `${CONFIG.EXPORT.FILE_NAME}-${date}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Reads the chosen file and previews the import
+   * @returns {Promise<void>}
+   * @private
+   */
+  handleFileSelected = async () => {
+    const [file] = this.fileInput.files;
+    this.clearPreview();
+    if (!file) return;
+
+    try {
+      const { pinDocument, skipped } = PinTransfer.parseJSON(await file.text());
+      this.importedDocument = pinDocument;
+      this.skipped = skipped;
+      this.updatePlan();
+    } catch (error) {
+      console.error("Failed to read import file:", error);
+      this.setStatus(CONFIG.UI.IMPORT_FAILED.replace("%s", error.message));
+    }
+  };
+
+  /**
+   * Compares the chosen file with the current pins and previews the import
+   * @private
+   */
+  updatePlan() {
+    this.plan = PinTransfer.createImportPlan(
+      this.storageManager.getDocument(),
+      this.importedDocument,
+    );
+    this.renderPreview();
+  }
+
+  /**
+   * Updates the preview when pins are changed in another tab, so the import
+   * is applied to the pins as they are now
+   * @private
+   */
+  handleStoredPinsChange = () => {
+    if (this.importedDocument) {
+      this.updatePlan();
+    }
+  };
+
+  /**
+   * Shows what the import will change and the choices to make
+   * @private
+   */
+  renderPreview() {
+    const isMerge = this.mode === CONFIG.IMPORT_MODES.MERGE;
+    const { added, conflicts, unchanged, removed } = this.plan;
+
+    const modes = DOMUtils.createElement("fieldset");
+    modes.append(
+      this.createRadio("import-mode", CONFIG.UI.IMPORT_MERGE, isMerge, () =>
+        this.setMode(CONFIG.IMPORT_MODES.MERGE),
+      ),
+      this.createRadio("import-mode", CONFIG.UI.IMPORT_REPLACE, !isMerge, () =>
+        this.setMode(CONFIG.IMPORT_MODES.REPLACE),
+      ),
+    );
+
+    const summary = DOMUtils.createElement("ul");
+    [
+      [CONFIG.UI.IMPORT_ADDED, added.length],
+      [CONFIG.UI.IMPORT_UPDATED, conflicts.length],
+      [CONFIG.UI.IMPORT_UNCHANGED, unchanged.length],
+      [CONFIG.UI.IMPORT_REMOVED, isMerge ? null : removed.length],
+      [CONFIG.UI.IMPORT_SKIPPED, this.skipped || null],
+    ].forEach(([text, count]) => {
+      if (count === null) return;
+      const line = DOMUtils.createElement("li");
+      line.textContent = text.replace("%s", count);
+      summary.appendChild(line);
+    });
+
+    this.preview.replaceChildren(modes, summary);
+
+    if (isMerge && conflicts.length > 0) {
+      const explanation = DOMUtils.createElement("p");
+      explanation.textContent = CONFIG.UI.IMPORT_CONFLICTS;
+      this.preview.append(
+        explanation,
+        ...conflicts.map((conflict, index) =>
+          this.createConflictFieldset(conflict, index),
+        ),
+      );
+    }
+
+    this.preview.append(
+      this.createButton(CONFIG.UI.IMPORT_APPLY, this.handleApply),
+      this.createButton(CONFIG.UI.IMPORT_CANCEL, () => {
+        this.fileInput.value = "";
+        this.clearPreview();
+      }),
+    );
+    this.preview.hidden = false;
+  }
+
+  /**
+   * Creates the choices for one conversation that differs between the
+   * current pins and the file
+   * @param {{current: Object, incoming: Object, fields: string[]}} conflict - The conflicting pin
+   * @param {number} index - Position of the conflict, used to name the radio groups
+   * @returns {HTMLFieldSetElement} The created fieldset
+   * @private
+   */
+  createConflictFieldset({ current, incoming, fields }, index) {
+    const fieldset = DOMUtils.createElement("fieldset");
+    fieldset.className = CONFIG.CLASSES.TRANSFER_CONFLICT;
+    const legend = DOMUtils.createElement("legend");
+    legend.textContent = StorageSchema.getDisplayTitle(current);
+    fieldset.appendChild(legend);
+
+    const currentDocument = this.storageManager.getDocument();
+    const resolutions = (this.resolutions[incoming.id] ??= {});
+    fields.forEach((field) => {
+      const group = DOMUtils.createElement("div");
+      const label = DOMUtils.createElement("strong");
+      label.textContent = CONFIG.UI.FIELD_NAMES[field];
+      const name = `conflict-${index}-${field}`;
+      const useIncoming =
+        resolutions[field] === CONFIG.CONFLICT_RESOLUTIONS.INCOMING;
+
+      group.append(
+        label,
+        this.createRadio(
+          name,
+          CONFIG.UI.IMPORT_KEEP_CURRENT.replace(
+            "%s",
+            this.formatFieldValue(currentDocument, field, current[field]),
+          ),
+          !useIncoming,
+          () => (resolutions[field] = CONFIG.CONFLICT_RESOLUTIONS.CURRENT),
+        ),
+        this.createRadio(
+          name,
+          CONFIG.UI.IMPORT_USE_INCOMING.replace(
+            "%s",
+            this.formatFieldValue(this.plan.incoming, field, incoming[field]),
+          ),
+          useIncoming,
+          () => (resolutions[field] = CONFIG.CONFLICT_RESOLUTIONS.INCOMING),
+        ),
+      );
+      fieldset.appendChild(group);
+    });
+
+    return fieldset;
+  }
+
+  /**
+   * Creates a labelled radio button
+   * @param {string} name - The radio group name
+   * @param {string} text - The label text
+   * @param {boolean} checked - Whether the option is selected
+   * @param {Function} onSelect - Called when the option is selected
+   * @returns {HTMLLabelElement} The label containing the radio button
+   * @private
+   */
+  createRadio(name, text, checked, onSelect) {
+    const label = DOMUtils.createElement("label");
+    const radio = DOMUtils.createElement("input");
+    radio.type = "radio";
+    radio.name = name;
+    radio.checked = checked;
+    radio.addEventListener("change", onSelect);
+    label.append(radio, text);
+    return label;
+  }
+
+  /**
+   * Formats a pin field for display
+   * @param {Object} pinDocument - The document the value comes from
+   * @param {string} field - The field name
+   * @param {*} value - The field value
+   * @returns {string} The text to show
+   * @private
+   */
+  formatFieldValue(pinDocument, field, value) {
+    let text = value;
+    if (field === "folderId") {
+      text = pinDocument.folders[value]?.name;
+    } else if (field === "tagIds") {
+      text = value
+        .map((tagId) => pinDocument.tags[tagId]?.name)
+        .filter(Boolean)
+        .join(", ");
+    }
+    return text || CONFIG.UI.IMPORT_EMPTY_VALUE;
+  }
+
+  /**
+   * Switches between merging and replacing
+   * @param {string} mode - One of CONFIG.IMPORT_MODES
+   * @private
+   */
+  setMode(mode) {
+    this.mode = mode;
+    this.renderPreview();
+  }
+
+  /**
+   * Writes the previewed import to storage
+   * @returns {Promise<void>}
+   * @private
+   */
+  handleApply = async () => {
+    try {
+      const pinDocument = PinTransfer.applyImportPlan(
+        this.storageManager.getDocument(),
+        this.plan,
+        { mode: this.mode, resolutions: this.resolutions },
+      );
+      await this.storageManager.replaceDocument(pinDocument);
+
+      const count = this.storageManager.getPinnedConversations().length;
+      this.fileInput.value = "";
+      this.clearPreview();
+      this.setStatus(CONFIG.UI.IMPORT_DONE.replace("%s", count));
+    } catch (error) {
+      console.error("Failed to import pins:", error);
+      this.setStatus(CONFIG.UI.IMPORT_FAILED.replace("%s", error.message));
+    }
+  };
+
+  /**
+   * Forgets the previewed import
+   * @private
+   */
+  clearPreview() {
+    this.importedDocument = null;
+    this.plan = null;
+    this.skipped = 0;
+    this.resolutions = {};
+    this.preview.replaceChildren();
+    this.preview.hidden = true;
+    this.setStatus("");
+  }
+}
+
+export default TransferUI;
@@ -1,93 +1,84 @@
+import CONFIG from "../config.js";
 import { URLError } from "./errors.js";
+import { EVENT_TYPES } from "./EventManager.js";
+import ConversationURL from "./ConversationURL.js";
 
 /**
  * Class responsible for tracking URL changes in the browser
- * Uses MutationObserver to monitor URL changes and execute callbacks when matching patterns
+ * ChatGPT navigates without reloading the page, so the tracker listens to
+ * every way a single-page navigation can show up: the history.pushState and
+ * history.replaceState hooks installed by history-hooks.js, popstate, and
+ * the Navigation API where the browser has it. These often report the same
+ * navigation more than once; only a changed path is published, as
+ * EVENT_TYPES.CONVERSATION_CHANGED on the event manager
  */
 export class URLTracker {
   /**
    * Creates a new URLTracker instance
-   * @param {RegExp} pattern - The regular expression pattern to match against URLs
-   * @throws {URLError} If the pattern is invalid
+   * @param {import("./EventManager.js").EventManager} eventManager - Where navigations are published
+   * @throws {URLError} If the event manager is invalid
    */
-  constructor(pattern) {
-    if (!(pattern instanceof RegExp)) {
-      throw new URLError("Invalid URL pattern provided");
+  constructor(eventManager) {
+    if (!eventManager) {
+      throw new URLError(CONFIG.ERRORS.INVALID_EVENT_MANAGER);
     }
-    this.pattern = pattern;
-    this.onChangeCallback = null;
-    this.observer = null;
+    this.eventManager = eventManager;
+    this.currentPath = location.pathname;
     this.init();
   }
 
   /**
-   * Initializes the URL tracking functionality
-   * Sets up a MutationObserver to monitor changes in the document title
+   * Starts listening for navigations
    * @private
-   * @throws {URLError} If initialization fails
    */
   init() {
-    try {
-      this.observer = new MutationObserver(() => {
-        const url = location.pathname;
-        this.checkUrlChange(url);
-      });
-
-      const titleElement = document.querySelector("title");
-      if (!titleElement) {
-        throw new URLError("Title element not found");
-      }
-
-      this.observer.observe(titleElement, { childList: true });
-    } catch (error) {
-      throw new URLError("Failed to initialize URL tracker", {
-        originalError: error,
-      });
-    }
+    window.addEventListener(CONFIG.URL.NAVIGATION_EVENT, this.checkUrlChange);
+    window.addEventListener("popstate", this.checkUrlChange);
+    globalThis.navigation?.addEventListener(
+      "currententrychange",
+      this.checkUrlChange,
+    );
   }
 
   /**
-   * Sets up a callback function to be executed when URL changes match the pattern
-   * @param {Function} callback - The function to be called when URL changes match the pattern
-   * @param {string} callback.url - The new URL that triggered the callback
-   * @throws {URLError} If the callback is invalid
+   * Gets the conversation a path points to
+   * @param {string} path - The URL path
+   * @returns {string|null} The conversation ID, or null if the path is not a conversation
    */
-  setupOnChangeCallback(callback) {
-    if (typeof callback !== "function") {
-      throw new URLError("Invalid callback provided");
-    }
-    this.onChangeCallback = callback;
+  getConversationId(path) {
+    return ConversationURL.parse(path)?.id ?? null;
   }
 
   /**
-   * Validates a URL against the pattern
-   * @param {string} url - The URL to validate
-   * @returns {boolean} Whether the URL matches the pattern
+   * Publishes the navigation if the path changed since the last check
    * @private
    */
-  isValidUrl(url) {
-    return this.pattern.test(url);
-  }
+  checkUrlChange = () => {
+    const path = location.pathname;
+    if (path === this.currentPath) return;
 
-  /**
-   * Checks if the current URL matches the pattern and triggers the callback if it does
-   * @param {string} url - The URL to check against the pattern
-   * @private
-   */
-  checkUrlChange(url) {
-    if (this.isValidUrl(url) && this.onChangeCallback) {
-      this.onChangeCallback(url);
-    }
-  }
+    const previousPath = this.currentPath;
+    this.currentPath = path;
+    this.eventManager.emit(EVENT_TYPES.CONVERSATION_CHANGED, {
+      previousPath,
+      path,
+      previousConversationId: this.getConversationId(previousPath),
+      conversationId: this.getConversationId(path),
+    });
+  };
 
   /**
    * Disconnects the URL tracker and cleans up resources
    */
   disconnect() {
-    if (this.observer) {
-      this.observer.disconnect();
-      this.observer = null;
-    }
-    this.onChangeCallback = null;
+    window.removeEventListener(
+      CONFIG.URL.NAVIGATION_EVENT,
+      this.checkUrlChange,
+    );
+    window.removeEventListener("popstate", this.checkUrlChange);
+    globalThis.navigation?.removeEventListener(
+      "currententrychange",
+      this.checkUrlChange,
+    );
   }
 }
@@ -0,0 +1,26 @@
+/**
+ * Export and import page script for the ChatGPT Pin Conversation extension
+ * Initializes the page for backing up and restoring pinned conversations
+ */
+
+import TransferUI from "./services/TransferUI.js";
+import I18n from "./services/I18n.js";
+import CONFIG from "./config.js";
+
+/**
+ * Entry point for the export and import page
+ * Renders the TransferUI into the page
+ * after switching the page to the extension's language
+ * @function
+ */
+function main() {
+  try {
+    I18n.applyLanguage(document.documentElement);
+    document.title = CONFIG.UI.TRANSFER_TITLE;
+    new TransferUI(document.body);
+  } catch (error) {
+    console.error("Failed to initialize export and import page:", error);
+  }
+}
+
+main();
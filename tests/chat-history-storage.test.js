@@ -0,0 +1,252 @@
+/**
+ * Checks for how ChatHistoryStorage stores pins and merges changes made in
+ * several tabs
+ * Run with `node tests/chat-history-storage.test.js`. Each ChatHistoryStorage
+ * instance stands for one tab; they share the in-memory chrome.storage below
+ */
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import CONFIG from "../scripts/config.js";
+import { ChatHistoryStorage } from "../scripts/services/ChatHistoryStorage.js";
+
+const listeners = new Set();
+
+/**
+ * Creates an in-memory chrome.storage area
+ * Like chrome.storage, change events are sent after the write has finished
+ * @param {string} areaName - The name passed to change listeners
+ * @returns {Object} The storage area
+ */
+function createStorageArea(areaName) {
+  const data = {};
+  const notify = (changes) =>
+    setTimeout(() => {
+      listeners.forEach((listener) => listener(changes, areaName));
+    });
+
+  return {
+    data,
+    async get(keys) {
+      if (keys === null) return structuredClone(data);
+      const items = {};
+      [keys].flat().forEach((key) => {
+        if (key in data) items[key] = structuredClone(data[key]);
+      });
+      return items;
+    },
+    async set(items) {
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = {
+          oldValue: data[key],
+          newValue: structuredClone(value),
+        };
+        data[key] = structuredClone(value);
+      });
+      notify(changes);
+    },
+    async remove(keys) {
+      const changes = {};
+      [keys].flat().forEach((key) => {
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      });
+      notify(changes);
+    },
+  };
+}
+
+/**
+ * Waits until pending change events have been delivered
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 10));
+}
+
+/**
+ * Opens a tab's storage and follows changes made elsewhere
+ * @returns {Promise<ChatHistoryStorage>} The initialized storage
+ */
+async function openTab() {
+  const storage = await new ChatHistoryStorage().init();
+  storage.watchForChanges(() => {});
+  return storage;
+}
+
+/**
+ * Reads the pin document currently in storage, as a newly opened tab would
+ * @returns {Promise<Object>} The stored document
+ */
+async function readStoredDocument() {
+  return (await new ChatHistoryStorage().init()).getDocument();
+}
+
+/**
+ * Measures a stored item the way chrome.storage.sync counts it
+ * @param {string} key - The storage key
+ * @param {*} value - The stored value
+ * @returns {number} The size in bytes
+ */
+function getItemSize(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+beforeEach(async () => {
+  // Change events of the previous check go to its own tabs
+  await settle();
+  listeners.clear();
+  globalThis.chrome = {
+    storage: {
+      sync: createStorageArea(CONFIG.STORAGE.AREAS.SYNC),
+      local: createStorageArea(CONFIG.STORAGE.AREAS.LOCAL),
+      onChanged: {
+        addListener: (listener) => listeners.add(listener),
+        removeListener: (listener) => listeners.delete(listener),
+      },
+    },
+  };
+});
+
+test("keeps pins added in two tabs before they hear of each other", async () => {
+  const first = await openTab();
+  const second = await openTab();
+
+  await first.pinConversation("aaaa-1", "Trip planning");
+  await second.pinConversation("bbbb-2", "Regex tricks");
+  await settle();
+
+  const { pins } = await readStoredDocument();
+  assert.deepEqual(Object.keys(pins).sort(), ["aaaa-1", "bbbb-2"]);
+  assert.equal(first.isConversationPinned("bbbb-2"), true);
+  assert.equal(second.isConversationPinned("aaaa-1"), true);
+});
+
+test("does not bring back a pin another tab removed", async () => {
+  const first = await openTab();
+  await first.pinConversation("aaaa-1", "Trip planning");
+  await first.pinConversation("bbbb-2", "Regex tricks");
+  // This tab never hears of the removal before it saves
+  const second = await new ChatHistoryStorage().init();
+
+  await first.unpinConversation("aaaa-1");
+  await second.updateConversationDetails("bbbb-2", { alias: "Regex" });
+
+  const { pins } = await readStoredDocument();
+  assert.deepEqual(Object.keys(pins), ["bbbb-2"]);
+  assert.equal(pins["bbbb-2"].alias, "Regex");
+  assert.equal(second.isConversationPinned("aaaa-1"), false);
+});
+
+test("lets the last save win when two tabs change the same pin", async () => {
+  const first = await openTab();
+  await first.pinConversation("aaaa-1", "Trip planning");
+  const second = await new ChatHistoryStorage().init();
+
+  await first.updateConversationDetails("aaaa-1", { note: "First" });
+  await second.updateConversationDetails("aaaa-1", { note: "Second" });
+
+  const { pins } = await readStoredDocument();
+  assert.equal(pins["aaaa-1"].note, "Second");
+});
+
+test("keeps delayed changes when another tab saves first", async () => {
+  const first = await openTab();
+  await first.pinConversation("aaaa-1", "Trip planning");
+  const second = await openTab();
+
+  await second.markConversationOpened("aaaa-1");
+  await first.pinConversation("bbbb-2", "Regex tricks");
+  await settle();
+
+  assert.equal(second.isConversationPinned("bbbb-2"), true);
+  assert.notEqual(second.document.pins["aaaa-1"].lastOpenedAt, null);
+
+  await second.flush();
+  const { pins } = await readStoredDocument();
+  assert.notEqual(pins["aaaa-1"].lastOpenedAt, null);
+  assert.deepEqual(Object.keys(pins).sort(), ["aaaa-1", "bbbb-2"]);
+});
+
+test("moves a pin out of a folder another tab deleted", async () => {
+  const first = await openTab();
+  await first.pinConversation("aaaa-1", "Trip planning");
+  const folder = await first.createFolder("Travel");
+  const second = await new ChatHistoryStorage().init();
+
+  await first.deleteFolder(folder.id);
+  await second.moveConversationToFolder("aaaa-1", folder.id);
+
+  const { pins, folders } = await readStoredDocument();
+  assert.equal(pins["aaaa-1"].folderId, null);
+  assert.deepEqual(folders, {});
+});
+
+test("splits the pins into chunks that fit the sync quota per item", async () => {
+  const storage = await openTab();
+  // Quotes and non-ASCII characters take more room than their length
+  const title = `"Ünïcödé" ${"🙂".repeat(40)}`;
+  for (let i = 0; i < 60; i++) {
+    await storage.pinConversation(`aaaa-${i}`, `${title} ${i}`);
+  }
+
+  const { data } = chrome.storage.sync;
+  assert.ok(data[CONFIG.STORAGE.PIN_INDEX].chunks > 1);
+  Object.entries(data).forEach(([key, value]) => {
+    assert.ok(getItemSize(key, value) <= CONFIG.STORAGE.SYNC_ITEM_BYTES, key);
+  });
+  const { pins } = await readStoredDocument();
+  assert.equal(pins["aaaa-59"].title, `${title} 59`);
+
+  for (const { id } of storage.getPinnedConversations().slice(1)) {
+    await storage.unpinConversation(id);
+  }
+  assert.equal(data[CONFIG.STORAGE.PIN_INDEX].chunks, 1);
+  assert.deepEqual(
+    Object.keys(data).filter((key) =>
+      key.startsWith(CONFIG.STORAGE.PIN_CHUNK_PREFIX),
+    ),
+    [`${CONFIG.STORAGE.PIN_CHUNK_PREFIX}0`],
+  );
+});
+
+test("moves pins kept under the single key of older versions", async () => {
+  const { data } = chrome.storage.sync;
+  data[CONFIG.STORAGE.PINNED_CONVERSATIONS] = { "/c/aaaa-1": "Trip planning" };
+
+  const storage = await openTab();
+
+  assert.equal(storage.isConversationPinned("aaaa-1"), true);
+  assert.equal(data[CONFIG.STORAGE.PINNED_CONVERSATIONS], undefined);
+  const { pins } = await readStoredDocument();
+  assert.equal(pins["aaaa-1"].title, "Trip planning");
+});
+
+test("moves the pins to local storage before they outgrow sync", async () => {
+  const storage = await openTab();
+  const note = "n".repeat(CONFIG.UI.NOTE_MAX_LENGTH);
+  for (let i = 0; storage.areaName === CONFIG.STORAGE.AREAS.SYNC; i++) {
+    await storage.pinConversation(`aaaa-${i}`, "Trip planning");
+    await storage.updateConversationDetails(`aaaa-${i}`, { note });
+  }
+
+  assert.equal(
+    chrome.storage.local.data[CONFIG.STORAGE.STORAGE_AREA],
+    CONFIG.STORAGE.AREAS.LOCAL,
+  );
+  const { pins } = await readStoredDocument();
+  assert.equal(
+    Object.keys(pins).length,
+    storage.getPinnedConversations().length,
+  );
+});
+
+test("does not join chunks of different saves", async () => {
+  const storage = await openTab();
+  await storage.pinConversation("aaaa-1", "Trip planning");
+  chrome.storage.sync.data[CONFIG.STORAGE.PIN_INDEX].revision = "elsewhere";
+
+  await assert.rejects(storage.pinConversation("bbbb-2", "Regex tricks"));
+  assert.equal(storage.readOnly, false);
+});
@@ -0,0 +1,167 @@
+/**
+ * Checks for importing pins with PinTransfer
+ * Run with `node tests/pin-transfer.test.js`. PinTransfer works on pin
+ * documents only, so the checks run in Node.js directly
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+import CONFIG from "../scripts/config.js";
+import { PinTransfer } from "../scripts/services/PinTransfer.js";
+import { StorageSchema } from "../scripts/services/StorageSchema.js";
+
+const { MERGE, REPLACE } = CONFIG.IMPORT_MODES;
+const { CURRENT, INCOMING } = CONFIG.CONFLICT_RESOLUTIONS;
+
+/**
+ * Creates a current-version document
+ * @param {Object} records - Pins, folders and tags, as lists of record fields
+ * @returns {Object} The pin document
+ */
+function createDocument({ pins = [], folders = [], tags = [] }) {
+  const byId = (records) =>
+    Object.fromEntries(records.map((record) => [record.id, record]));
+  return {
+    ...StorageSchema.createEmptyDocument(),
+    pins: byId(
+      pins.map((fields, order) =>
+        StorageSchema.createPinRecord({ pinnedAt: 0, order, ...fields }),
+      ),
+    ),
+    folders: byId(
+      folders.map((fields, order) =>
+        StorageSchema.createFolderRecord({ createdAt: 0, order, ...fields }),
+      ),
+    ),
+    tags: byId(
+      tags.map((fields, order) =>
+        StorageSchema.createTagRecord({
+          color: "#ef4444",
+          createdAt: 0,
+          order,
+          ...fields,
+        }),
+      ),
+    ),
+  };
+}
+
+const current = createDocument({
+  pins: [
+    { id: "aaaa-1", title: "Trip planning", folderId: "folder-here" },
+    { id: "bbbb-2", title: "Regex tricks", note: "Kept here" },
+    { id: "cccc-3", title: "Only here" },
+  ],
+  folders: [{ id: "folder-here", name: "Travel" }],
+  tags: [{ id: "tag-here", name: "Work" }],
+});
+
+const incoming = createDocument({
+  pins: [
+    {
+      id: "aaaa-1",
+      title: "Trip planning",
+      folderId: "folder-there",
+      tagIds: ["tag-there"],
+    },
+    { id: "bbbb-2", title: "Regex tricks v2", note: "Imported" },
+    { id: "dddd-4", title: "Only there", folderId: "folder-new" },
+  ],
+  folders: [
+    { id: "folder-there", name: "Travel" },
+    { id: "folder-new", name: "Reading" },
+  ],
+  tags: [{ id: "tag-there", name: "work" }],
+});
+
+test("reads back its own JSON export", () => {
+  const { pinDocument, skipped } = PinTransfer.parseJSON(
+    PinTransfer.toJSON(current),
+  );
+  assert.deepEqual(pinDocument, current);
+  assert.equal(skipped, 0);
+});
+
+test("upgrades old exports and counts the records it drops", () => {
+  const { pinDocument, skipped } = PinTransfer.parseJSON(
+    JSON.stringify({
+      format: CONFIG.EXPORT.FORMAT,
+      "/c/aaaa-1": "Trip planning",
+      "/c/not-an-id!": "Broken",
+    }),
+  );
+  assert.deepEqual(Object.keys(pinDocument.pins), ["aaaa-1"]);
+  assert.equal(skipped, 1);
+});
+
+test("refuses files that are not exports", () => {
+  assert.throws(() => PinTransfer.parseJSON("not json"));
+  assert.throws(() => PinTransfer.parseJSON('{"pins": {}}'));
+  assert.throws(() =>
+    PinTransfer.parseJSON(
+      JSON.stringify({ format: CONFIG.EXPORT.FORMAT, version: 999 }),
+    ),
+  );
+});
+
+test("sorts imported pins into added, conflicting and removed", () => {
+  const plan = PinTransfer.createImportPlan(current, incoming);
+
+  assert.deepEqual(
+    plan.added.map(({ id }) => id),
+    ["dddd-4"],
+  );
+  assert.deepEqual(
+    plan.removed.map(({ id }) => id),
+    ["cccc-3"],
+  );
+  assert.deepEqual(
+    plan.conflicts.map(({ incoming: pin, fields }) => [pin.id, fields]),
+    [
+      ["aaaa-1", ["tagIds"]],
+      ["bbbb-2", ["title", "note"]],
+    ],
+  );
+  assert.deepEqual(plan.unchanged, []);
+});
+
+test("matches folders by name and tags by name in any case", () => {
+  const { incoming: aligned } = PinTransfer.createImportPlan(current, incoming);
+
+  assert.equal(aligned.pins["aaaa-1"].folderId, "folder-here");
+  assert.deepEqual(aligned.pins["aaaa-1"].tagIds, ["tag-here"]);
+  assert.deepEqual(Object.keys(aligned.folders), ["folder-here", "folder-new"]);
+  assert.deepEqual(Object.keys(aligned.tags), ["tag-here"]);
+});
+
+test("keeps current values of conflicting pins unless told otherwise", () => {
+  const plan = PinTransfer.createImportPlan(current, incoming);
+  const result = PinTransfer.applyImportPlan(current, plan, {
+    mode: MERGE,
+    resolutions: { "bbbb-2": { title: INCOMING, note: CURRENT } },
+  });
+
+  assert.deepEqual(Object.keys(result.pins), [
+    "aaaa-1",
+    "bbbb-2",
+    "cccc-3",
+    "dddd-4",
+  ]);
+  assert.equal(result.pins["bbbb-2"].title, "Regex tricks v2");
+  assert.equal(result.pins["bbbb-2"].note, "Kept here");
+  assert.deepEqual(result.pins["aaaa-1"].tagIds, []);
+  assert.equal(result.pins["dddd-4"].folderId, "folder-new");
+  assert.equal(result.pins["dddd-4"].order, 3);
+  assert.equal(result.folders["folder-new"].order, 1);
+  assert.equal(current.pins["bbbb-2"].title, "Regex tricks");
+});
+
+test("takes the imported document as it is when replacing", () => {
+  const plan = PinTransfer.createImportPlan(current, incoming);
+  const result = PinTransfer.applyImportPlan(current, plan, {
+    mode: REPLACE,
+  });
+
+  assert.deepEqual(result, plan.incoming);
+  assert.equal(result.pins["cccc-3"], undefined);
+});
@@ -0,0 +1,175 @@
+/**
+ * Checks for StalePinDetector against a saved ChatGPT page
+ * Open tests/stale-pin-detector.html from the unpacked extension
+ * (chrome-extension://<extension id>/tests/stale-pin-detector.html). The
+ * fixture in tests/fixtures/stale-pins.html is loaded into a frame, and each
+ * check changes it as needed and puts it back afterwards. Results are listed
+ * on the page, and the page title ends in PASS or FAIL
+ */
+
+import { StalePinDetector } from "../scripts/services/StalePinDetector.js";
+import { SelectorResolver } from "../scripts/services/SelectorResolver.js";
+import CONFIG from "../scripts/config.js";
+
+const PINS = [
+  { id: "aaaa-1", route: null },
+  { id: "bbbb-2", route: { type: CONFIG.ROUTE_TYPES.GPT } },
+  { id: "cccc-3", route: null },
+  { id: "dddd-4", route: { type: CONFIG.ROUTE_TYPES.PROJECT } },
+];
+
+/**
+ * Throws if two values differ
+ * @param {*} actual - The value the detector returned
+ * @param {*} expected - The value it should have returned
+ */
+function assertEqual(actual, expected) {
+  const actualJSON = JSON.stringify(actual);
+  const expectedJSON = JSON.stringify(expected);
+  if (actualJSON !== expectedJSON) {
+    throw new Error(`Expected ${expectedJSON}, got ${actualJSON}`);
+  }
+}
+
+/**
+ * Replaces the content of an element for the length of a check
+ * @param {Element} element - The element to change
+ * @param {string} html - The content used during the check
+ * @param {Function} check - The check, may be async
+ * @returns {Promise<void>}
+ */
+async function withContent(element, html, check) {
+  const original = element.innerHTML;
+  element.innerHTML = html;
+  try {
+    await check();
+  } finally {
+    element.innerHTML = original;
+  }
+}
+
+/**
+ * Changes the inline style of an element for the length of a check
+ * @param {HTMLElement} element - The element to change
+ * @param {Object} styles - The style properties used during the check
+ * @param {Function} check - The check, may be async
+ * @returns {Promise<void>}
+ */
+async function withStyle(element, styles, check) {
+  const original = element.style.cssText;
+  Object.assign(element.style, styles);
+  try {
+    await check();
+  } finally {
+    element.style.cssText = original;
+  }
+}
+
+/**
+ * Runs every check against the fixture page
+ * @param {Document} fixture - The loaded fixture page
+ * @returns {Promise<Array<{name: string, error: Error|null}>>} One result per check
+ */
+export async function runStalePinDetectorChecks(fixture) {
+  const detector = new StalePinDetector(new SelectorResolver());
+  const main = fixture.querySelector("main");
+  const sidebar = fixture.querySelector("nav");
+  const list = sidebar.querySelector("ol");
+  const { LOADED, NOT_FOUND } = CONFIG.CONVERSATION_STATES;
+
+  const checks = {
+    "recognises the not-found state": () =>
+      assertEqual(detector.getConversationState(fixture), NOT_FOUND),
+    "recognises the not-found state in German": () =>
+      withContent(main, "<p>Unterhaltung nicht gefunden</p><form></form>", () =>
+        assertEqual(detector.getConversationState(fixture), NOT_FOUND),
+      ),
+    "recognises the not-found state in Arabic": () =>
+      withContent(main, "<p>لم يتم العثور على المحادثة</p><form></form>", () =>
+        assertEqual(detector.getConversationState(fixture), NOT_FOUND),
+      ),
+    "prefers messages over a not-found text": () =>
+      withContent(
+        main,
+        '<div data-message-author-role="user">Conversation not found?</div>',
+        () => assertEqual(detector.getConversationState(fixture), LOADED),
+      ),
+    "does not take a page without messages for not found": () =>
+      withContent(main, "<form></form>", () =>
+        assertEqual(detector.getConversationState(fixture), null),
+      ),
+    "keeps waiting while the page stays without messages": () =>
+      withContent(main, "<form></form>", async () =>
+        assertEqual(
+          await detector.waitForConversationState({
+            root: fixture,
+            timeout: 300,
+          }),
+          null,
+        ),
+      ),
+    "sees that the sidebar history is fully loaded": () =>
+      assertEqual(detector.isHistoryFullyLoaded(sidebar), true),
+    "does not trust a sidebar without a scrolling list": () =>
+      withStyle(sidebar.firstElementChild, { overflowY: "visible" }, () =>
+        assertEqual(detector.isHistoryFullyLoaded(sidebar), false),
+      ),
+    "does not trust a hidden sidebar": () =>
+      withStyle(sidebar, { display: "none" }, () =>
+        assertEqual(detector.isHistoryFullyLoaded(sidebar), false),
+      ),
+    "finds pins missing from the fully loaded history": () =>
+      assertEqual(detector.findMissingConversations(PINS, sidebar), {
+        missing: ["cccc-3"],
+        listed: ["aaaa-1", "bbbb-2"],
+      }),
+    "reports no missing pins while the history is loading": () =>
+      withContent(
+        list,
+        `${list.innerHTML}<li><div class="animate-spin"></div></li>`,
+        () =>
+          assertEqual(detector.findMissingConversations(PINS, sidebar), {
+            missing: [],
+            listed: ["aaaa-1", "bbbb-2"],
+          }),
+      ),
+  };
+
+  const results = [];
+  for (const [name, check] of Object.entries(checks)) {
+    try {
+      await check();
+      results.push({ name, error: null });
+    } catch (error) {
+      results.push({ name, error });
+    }
+  }
+  return results;
+}
+
+/**
+ * Runs the checks once the fixture frame has loaded and lists the results
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const frame = document.getElementById("fixture");
+  if (!frame) return;
+
+  // Until the fixture has loaded, the frame holds an empty document
+  if (!frame.contentDocument?.querySelector("main")) {
+    await new Promise((resolve) => frame.addEventListener("load", resolve));
+  }
+  const results = await runStalePinDetectorChecks(frame.contentDocument);
+
+  const list = document.getElementById("results");
+  results.forEach(({ name, error }) => {
+    const item = document.createElement("li");
+    item.textContent = error ? `FAIL ${name}: ${error.message}` : `ok ${name}`;
+    list.appendChild(item);
+    if (error) console.error(name, error);
+  });
+  const failed = results.filter(({ error }) => error).length;
+  document.title += failed === 0 ? " PASS" : ` FAIL (${failed})`;
+}
+
+main();
@@ -0,0 +1,150 @@
+/**
+ * Checks for StorageSchema migrations and sanitizing
+ * Run with `node tests/storage-schema.test.js`. StorageSchema has no DOM or
+ * chrome dependency, so the checks run in Node.js directly
+ */
+
+import assert from "node:assert/strict";
+import test from "node:test";
+import {
+  SCHEMA_VERSION,
+  StorageSchema,
+} from "../scripts/services/StorageSchema.js";
+
+const PINNED_AT = 1700000000000;
+
+/**
+ * Creates a valid current-version pin record
+ * @param {Object} fields - Fields that differ from the defaults
+ * @returns {Object} The pin record
+ */
+function pin(fields) {
+  return StorageSchema.createPinRecord({
+    title: "A conversation",
+    pinnedAt: PINNED_AT,
+    ...fields,
+  });
+}
+
+test("upgrades a v1 map of paths and titles to the current version", () => {
+  const migrated = StorageSchema.migrate({
+    "/c/aaaa-1": "Trip planning",
+    "/g/g-abc123-helper/c/bbbb-2": "Regex tricks",
+  });
+
+  assert.equal(migrated.version, SCHEMA_VERSION);
+  assert.deepEqual(Object.keys(migrated.pins), ["aaaa-1", "bbbb-2"]);
+  assert.deepEqual(migrated.folders, {});
+  assert.deepEqual(migrated.tags, {});
+  assert.deepEqual(migrated.expired, {});
+
+  const { pins } = migrated;
+  assert.equal(pins["aaaa-1"].title, "Trip planning");
+  assert.equal(pins["aaaa-1"].route, null);
+  assert.equal(pins["bbbb-2"].route.gizmoId, "g-abc123");
+  assert.deepEqual([pins["aaaa-1"].order, pins["bbbb-2"].order], [0, 1]);
+
+  const { rejected } = StorageSchema.sanitize(migrated);
+  assert.equal(StorageSchema.hasRejectedRecords(rejected), false);
+});
+
+test("adds the fields of every later version to v2 records", () => {
+  const migrated = StorageSchema.migrate({
+    version: 2,
+    pins: {
+      "/c/aaaa-1": {
+        id: "/c/aaaa-1",
+        title: "Trip planning",
+        pinnedAt: PINNED_AT,
+        lastOpenedAt: null,
+        order: 0,
+      },
+    },
+  });
+
+  assert.deepEqual(
+    migrated.pins["aaaa-1"],
+    pin({ id: "aaaa-1", title: "Trip planning" }),
+  );
+});
+
+test("keeps a current-version document as it is", () => {
+  const pinDocument = {
+    ...StorageSchema.createEmptyDocument(),
+    pins: { "aaaa-1": pin({ id: "aaaa-1" }) },
+  };
+  assert.equal(StorageSchema.migrate(pinDocument), pinDocument);
+});
+
+test("refuses documents it cannot upgrade", () => {
+  assert.throws(() => StorageSchema.migrate({ version: SCHEMA_VERSION + 1 }));
+  assert.throws(() => StorageSchema.migrate({ version: 0 }));
+  assert.throws(() => StorageSchema.migrate(null));
+  assert.throws(() => StorageSchema.migrate(["aaaa-1"]));
+});
+
+test("rejects v1 keys that are not conversation paths", () => {
+  const { pinDocument, rejected } = StorageSchema.sanitize(
+    StorageSchema.migrate({
+      "/c/aaaa-1": "Trip planning",
+      "/settings": "Not a conversation",
+    }),
+  );
+
+  assert.deepEqual(Object.keys(pinDocument.pins), ["aaaa-1"]);
+  assert.deepEqual(Object.keys(rejected.pins), ["/settings"]);
+});
+
+test("drops invalid records and repairs references to missing ones", () => {
+  const { pinDocument, rejected } = StorageSchema.sanitize({
+    ...StorageSchema.createEmptyDocument(),
+    pins: {
+      "aaaa-1": pin({
+        id: "aaaa-1",
+        folderId: "folder-gone",
+        tagIds: ["tag-1", "tag-gone"],
+      }),
+      "bbbb-2": pin({ id: "bbbb-2", title: "" }),
+    },
+    folders: {
+      "folder-1": StorageSchema.createFolderRecord({
+        id: "folder-1",
+        name: "",
+      }),
+    },
+    tags: {
+      "tag-1": StorageSchema.createTagRecord({
+        id: "tag-1",
+        name: "Work",
+        color: "#ef4444",
+      }),
+    },
+  });
+
+  assert.deepEqual(Object.keys(pinDocument.pins), ["aaaa-1"]);
+  assert.equal(pinDocument.pins["aaaa-1"].folderId, null);
+  assert.deepEqual(pinDocument.pins["aaaa-1"].tagIds, ["tag-1"]);
+  assert.deepEqual(Object.keys(rejected.pins), ["bbbb-2"]);
+  assert.deepEqual(Object.keys(rejected.folders), ["folder-1"]);
+  assert.equal(StorageSchema.hasRejectedRecords(rejected), true);
+});
+
+test("drops the expired copy of a conversation that is pinned again", () => {
+  const { pinDocument, rejected } = StorageSchema.sanitize({
+    ...StorageSchema.createEmptyDocument(),
+    pins: { "aaaa-1": pin({ id: "aaaa-1" }) },
+    expired: {
+      "aaaa-1": { ...pin({ id: "aaaa-1" }), expiredAt: PINNED_AT },
+      "bbbb-2": { ...pin({ id: "bbbb-2" }), expiredAt: PINNED_AT },
+    },
+  });
+
+  assert.deepEqual(Object.keys(pinDocument.expired), ["bbbb-2"]);
+  assert.equal(StorageSchema.hasRejectedRecords(rejected), false);
+});
+
+test("refuses a document without its record maps", () => {
+  assert.throws(() =>
+    StorageSchema.sanitize({ version: SCHEMA_VERSION, pins: {} }),
+  );
+});